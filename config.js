@@ -0,0 +1,105 @@
+require('dotenv').config();
+
+// Shared settings read from the environment. Anything that signs or verifies
+// tokens must read its secret from here so that both sides always agree.
+
+if (!process.env.JWT_SECRET) {
+    console.warn('JWT_SECRET is not set; falling back to an insecure development secret');
+}
+
+if (!process.env.MAIL_TRANSPORT) {
+    console.warn('MAIL_TRANSPORT is not set; no emails are sent and password resets are unavailable');
+}
+
+// TRUST_PROXY as Express's "trust proxy" setting: "true", a number of proxy hops,
+// or comma-separated addresses and subnets such as "loopback, 10.0.0.0/8"
+function parseTrustProxy(value) {
+    if (!value || value === 'false') {
+        return false;
+    }
+    if (value === 'true') {
+        return true;
+    }
+    return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+module.exports = {
+    server: {
+        // Proxies whose X-Forwarded-For header is believed when working out the client IP. Set it when
+        // running behind a reverse proxy or load balancer: otherwise every request seems to come from the
+        // proxy and all clients share the per-IP rate limits of the auth routes.
+        trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+    },
+    jwt: {
+        secret: process.env.JWT_SECRET || 'development_only_jwt_secret',
+        accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+        refreshTokenTtlDays: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7,
+    },
+    trash: {
+        // Deleted tasks and comments older than this are removed for good by POST /trash/purge
+        retentionDays: Number(process.env.TRASH_RETENTION_DAYS) || 30,
+    },
+    webhooks: {
+        // A failed delivery is retried until it has been attempted this many times,
+        // waiting retryBaseMs, then twice as long before each further attempt
+        maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+        retryBaseMs: Number(process.env.WEBHOOK_RETRY_BASE_MS) || 10 * 1000,
+        timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000,
+        // Webhooks may not target loopback, link-local or private addresses unless this is
+        // "true", e.g. to try them out against scripts/webhookReceiver.js on the same machine
+        allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true',
+    },
+    workflow: {
+        // JSON object mapping each task status to the statuses it may move to,
+        // replacing the default graph in utils/workflow.js
+        transitions: process.env.TASK_TRANSITIONS ? JSON.parse(process.env.TASK_TRANSITIONS) : null,
+    },
+    scheduler: {
+        // How often the background scheduler looks for due and overdue tasks
+        intervalMs: Number(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000,
+        // Comma-separated hours before the due date at which reminders are sent, e.g. "24,1"
+        reminderLeadTimesHours: (process.env.REMINDER_LEAD_TIMES_HOURS || '24')
+            .split(',')
+            .map(Number)
+            .filter((hours) => hours > 0),
+    },
+    rateLimit: {
+        // Where request counts are kept: "memory" (per server process) or "mongo" (shared by every instance)
+        store: process.env.RATE_LIMIT_STORE || 'memory',
+        // Attempts allowed at /auth/login and /auth/register per window, per client IP and per username.
+        // The client IP is only right behind a proxy when server.trustProxy is set.
+        auth: {
+            windowMs: Number(process.env.AUTH_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+            maxPerIp: Number(process.env.AUTH_RATE_LIMIT_PER_IP) || 20,
+            maxPerUsername: Number(process.env.AUTH_RATE_LIMIT_PER_USERNAME) || 10,
+        },
+        // Requests each user may make to /tasks and /comments per window
+        api: {
+            windowMs: Number(process.env.API_RATE_LIMIT_WINDOW_MS) || 60 * 1000,
+            maxPerUser: Number(process.env.API_RATE_LIMIT_PER_USER) || 300,
+        },
+    },
+    lockout: {
+        // Failed password checks in a row before an account is locked
+        threshold: Number(process.env.LOCKOUT_THRESHOLD) || 5,
+        // The first lock lasts baseMs and every further failure doubles it, up to maxMs
+        baseMs: Number(process.env.LOCKOUT_BASE_MS) || 60 * 1000,
+        maxMs: Number(process.env.LOCKOUT_MAX_MS) || 60 * 60 * 1000,
+    },
+    passwords: {
+        minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 10,
+        // How many of lowercase letters, uppercase letters, digits and symbols a password must mix
+        minCharacterClasses: Number(process.env.PASSWORD_MIN_CHARACTER_CLASSES) || 3,
+        resetTokenTtlMinutes: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30,
+        // Page of the client app that takes a reset token as ?token=. Without one the email only holds the token.
+        resetUrl: process.env.PASSWORD_RESET_URL || null,
+    },
+    mail: {
+        // How emails are sent; there is no default. "console" logs them and "file" writes them to outboxDir,
+        // which is only for development and testing as reset emails hold working tokens. Others can be
+        // added with registerTransport.
+        transport: process.env.MAIL_TRANSPORT || null,
+        from: process.env.MAIL_FROM || 'Task Management API <no-reply@localhost>',
+        outboxDir: process.env.MAIL_OUTBOX_DIR || 'mail-outbox',
+    },
+};
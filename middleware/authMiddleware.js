@@ -1,16 +1,38 @@
 // middlewares/authMiddleware.js
 const jwt = require('jsonwebtoken');
+const config = require('../config');
+const { findSessionUser } = require('../mongodb/tokens');
 
-const authenticateToken = (req, res, next) => {
-    const token = req.headers['authorization']?.split(' ')[1]; 
+const authenticateToken = async (req, res, next) => {
+    const token = req.headers['authorization']?.split(' ')[1];
 
     if (!token) return res.status(401).json({ message: 'Access token required' });
 
-    jwt.verify(token, 'your_secret_key', (err, user) => { 
-        if (err) return res.status(403).json({ message: 'Invalid token' });
-        req.user = user; 
-        next(); 
-    });
+    let user;
+    try {
+        user = jwt.verify(token, config.jwt.secret);
+    } catch (err) {
+        return res.status(403).json({ message: 'Invalid token' });
+    }
+
+    // Every token issued by /auth carries a jti so that it can be revoked
+    if (!user.jti) return res.status(403).json({ message: 'Invalid token' });
+
+    let account;
+    try {
+        // Changing the password ends every session that was open at the time
+        account = await findSessionUser(user);
+        if (!account) {
+            return res.status(401).json({ message: 'Token has been revoked' });
+        }
+    } catch (error) {
+        return next(error);
+    }
+
+    // The role in the token is the one the user had when it was issued. Use the
+    // stored one so that a role change applies to sessions that are already open.
+    req.user = { ...user, role: account.role };
+    next();
 };
 
 module.exports = authenticateToken;
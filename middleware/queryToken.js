@@ -0,0 +1,11 @@
+// middleware/queryToken.js
+// Browsers' EventSource cannot set headers, so the event stream also accepts the
+// access token as ?access_token= and hands it on to authenticateToken
+const tokenFromQuery = (req, res, next) => {
+    if (!req.headers['authorization'] && req.query.access_token) {
+        req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+    }
+    next();
+};
+
+module.exports = tokenFromQuery;
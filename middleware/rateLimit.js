@@ -0,0 +1,68 @@
+const config = require('../config');
+const { incrementRateLimit } = require('../mongodb/rateLimits');
+
+const STORES = ['memory', 'mongo'];
+if (!STORES.includes(config.rateLimit.store)) {
+    throw new Error(`RATE_LIMIT_STORE must be one of: ${STORES.join(', ')}`);
+}
+
+// Counters of the in-memory store, keyed like the MongoDB ones
+const memoryCounters = new Map();
+let sweepTimer = null;
+
+function incrementInMemory(key, windowStart, windowMs) {
+    const id = `${key}:${windowStart}`;
+    const count = (memoryCounters.get(id)?.count || 0) + 1;
+    memoryCounters.set(id, { count, expiresAt: windowStart + windowMs });
+
+    // Forget counters once their window has ended
+    if (!sweepTimer) {
+        sweepTimer = setInterval(() => {
+            const now = Date.now();
+            for (const [counterId, counter] of memoryCounters) {
+                if (counter.expiresAt <= now) {
+                    memoryCounters.delete(counterId);
+                }
+            }
+        }, 60 * 1000);
+        sweepTimer.unref();
+    }
+    return count;
+}
+
+const increment = config.rateLimit.store === 'mongo' ? incrementRateLimit : incrementInMemory;
+
+// Limit how often clients may call the routes behind this middleware. Each of
+// `limits` counts requests separately for every value `key(req)` returns (a
+// request for which it returns nothing is not counted) and lets `max` of them
+// through per fixed window of `windowMs`. Once a limit is used up, requests get
+// 429 with Retry-After until the window ends.
+const rateLimit = ({ name, windowMs, limits }) => async (req, res, next) => {
+    const now = Date.now();
+    const windowStart = now - (now % windowMs);
+    const retryAfter = Math.ceil((windowStart + windowMs - now) / 1000);
+
+    try {
+        for (const { by, max, key } of limits) {
+            const value = key(req);
+            if (value === undefined || value === null || value === '') {
+                continue;
+            }
+
+            const count = await increment(`${name}:${by}:${value}`, windowStart, windowMs);
+            if (count > max) {
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({
+                    message: `Too many requests, try again in ${retryAfter} seconds`,
+                    retryAfter,
+                });
+            }
+        }
+    } catch (error) {
+        // A failing store should not take the API down with it
+        console.error('Error checking rate limit:', error);
+    }
+    next();
+};
+
+module.exports = rateLimit;
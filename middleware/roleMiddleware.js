@@ -0,0 +1,14 @@
+// middleware/roleMiddleware.js
+const { DEFAULT_ROLE } = require('../mongodb/user');
+
+// Only let users whose role is one of the given roles through. Must run after authenticateToken.
+const authorizeRoles = (...roles) => (req, res, next) => {
+    const role = req.user?.role || DEFAULT_ROLE;
+
+    if (!roles.includes(role)) {
+        return res.status(403).json({ message: 'You do not have permission to perform this action' });
+    }
+    next();
+};
+
+module.exports = authorizeRoles;
@@ -0,0 +1,24 @@
+// middleware/validate.js
+const swaggerDocs = require('../swagger');
+const { validateSchema } = require('../utils/schemaValidator');
+
+const components = swaggerDocs.components.schemas;
+
+// Validate req.body against one of the component schemas declared in the
+// Swagger docs, responding with 400 and every failing field when it does not match
+const validateBody = (schemaName, options = {}) => {
+    if (!components[schemaName]) {
+        throw new Error(`Unknown schema: ${schemaName}`);
+    }
+
+    return (req, res, next) => {
+        const errors = validateSchema(components[schemaName], req.body, components, options);
+
+        if (errors.length > 0) {
+            return res.status(400).json({ message: 'Validation failed', errors });
+        }
+        next();
+    };
+};
+
+module.exports = validateBody;
@@ -0,0 +1,72 @@
+const { ObjectId } = require('mongodb');
+const { getDB } = require('./database');
+
+// Bookkeeping fields that the server maintains alongside other changes and
+// that are left out of diffs. Status changes show up through `status` itself.
+const IGNORED_FIELDS = ['_id', 'updatedAt', 'version', 'statusChangedAt', 'statusHistory'];
+
+function normalize(value) {
+    if (value instanceof Date) return value.getTime();
+    if (value instanceof ObjectId) return value.toString();
+    if (Array.isArray(value) || (value && typeof value === 'object')) return JSON.stringify(value);
+    return value;
+}
+
+// Field-level diff between two versions of a document: { field: { from, to } }.
+// Pass null as `before` for creations and as `after` for deletions.
+function diffDocuments(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    fields.forEach((field) => {
+        if (IGNORED_FIELDS.includes(field)) {
+            return;
+        }
+        const from = before && before[field] !== undefined ? before[field] : null;
+        const to = after && after[field] !== undefined ? after[field] : null;
+        if (normalize(from) !== normalize(to)) {
+            changes[field] = { from, to };
+        }
+    });
+    return changes;
+}
+
+// Record a create, update or delete of a task or comment. Comment entries also
+// carry their task's ID so that they show up in the task's history.
+// Audit failures are logged rather than failing the request that caused them.
+async function recordAudit({ entityType, entityId, taskId, action, actor, before = null, after = null }, { session } = {}) {
+    const changes = diffDocuments(before, after);
+    if (action === 'update' && Object.keys(changes).length === 0) {
+        return;
+    }
+
+    try {
+        const db = getDB();
+        await db.collection('AuditLog').insertOne({
+            entityType,
+            entityId: new ObjectId(entityId),
+            taskId: taskId && ObjectId.isValid(taskId) ? new ObjectId(taskId) : null,
+            action,
+            actor: actor.id,
+            timestamp: new Date(),
+            changes,
+        }, { session });
+    } catch (error) {
+        console.error('Error recording audit entry:', error);
+    }
+}
+
+// Every audit entry of a task and its comments, oldest first
+async function findTaskHistory(taskId) {
+    const db = getDB();
+    return await db.collection('AuditLog')
+        .find({ taskId: new ObjectId(taskId) })
+        .sort({ timestamp: 1 })
+        .toArray();
+}
+
+module.exports = {
+    diffDocuments,
+    recordAudit,
+    findTaskHistory,
+};
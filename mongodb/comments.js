@@ -0,0 +1,98 @@
+const { ObjectId } = require('mongodb');
+const { getDB } = require('./database');
+const { NOT_DELETED } = require('./trash');
+const { findUsersByUsernames } = require('./user');
+const { parseMentions } = require('../utils/mentions');
+
+// Comments created before taskId was stored as an ObjectId hold it as a string,
+// so lookups by task match both forms
+function byTask(taskId) {
+    const id = new ObjectId(taskId);
+    return { taskId: { $in: [id, id.toString()] } };
+}
+
+// The users mentioned as @username in a comment's content, as stored in its
+// `mentions`. Mentions of usernames that do not exist are ignored.
+async function resolveMentions(content) {
+    const users = await findUsersByUsernames(parseMentions(content));
+    return users.map((user) => ({ userId: user._id.toString(), username: user.username }));
+}
+
+// Insert a comment on a task and link it from the task's comments array.
+// Changing that array counts as a new version of the task.
+async function createComment(task, content, user) {
+    const db = getDB();
+    const newComment = {
+        taskId: task._id,
+        content,
+        mentions: await resolveMentions(content),
+        author: user.id,
+        createdAt: new Date(),
+        version: 1,
+    };
+
+    const result = await db.collection('Comments').insertOne(newComment);
+    await db.collection('Tasks').updateOne(
+        { _id: task._id },
+        { $push: { comments: result.insertedId }, $inc: { version: 1 } }
+    );
+    return { _id: result.insertedId, ...newComment };
+}
+
+// Move a comment's link from one task's comments array to another's
+async function relinkComment(commentId, fromTaskId, toTaskId) {
+    const db = getDB();
+    const tasks = db.collection('Tasks');
+    if (fromTaskId && ObjectId.isValid(fromTaskId)) {
+        await tasks.updateOne(
+            { _id: new ObjectId(fromTaskId) },
+            { $pull: { comments: commentId }, $inc: { version: 1 } }
+        );
+    }
+    if (toTaskId) {
+        await tasks.updateOne(
+            { _id: new ObjectId(toTaskId) },
+            { $addToSet: { comments: commentId }, $inc: { version: 1 } }
+        );
+    }
+}
+
+// All comments on a task, oldest first
+async function findCommentsForTask(taskId) {
+    const db = getDB();
+    return await db.collection('Comments').find({ ...byTask(taskId), ...NOT_DELETED }).sort({ createdAt: 1 }).toArray();
+}
+
+// Move every comment on a task to the trash along with the task, returning the
+// trashed comments. They are flagged so that restoring the task brings them back.
+async function trashCommentsForTask(taskId, user, deletedAt, { session } = {}) {
+    const db = getDB();
+    const comments = await db.collection('Comments').find({ ...byTask(taskId), ...NOT_DELETED }, { session }).toArray();
+    if (comments.length > 0) {
+        await db.collection('Comments').updateMany(
+            { _id: { $in: comments.map((comment) => comment._id) } },
+            { $set: { deletedAt, deletedBy: user.id, deletedWithTask: true } },
+            { session }
+        );
+    }
+    return comments;
+}
+
+// Restore the comments that were trashed together with their task
+async function restoreCommentsForTask(taskId) {
+    const db = getDB();
+    const result = await db.collection('Comments').updateMany(
+        { ...byTask(taskId), deletedWithTask: true },
+        { $unset: { deletedAt: '', deletedBy: '', deletedWithTask: '' } }
+    );
+    return result.modifiedCount;
+}
+
+module.exports = {
+    resolveMentions,
+    createComment,
+    relinkComment,
+    findCommentsForTask,
+    trashCommentsForTask,
+    restoreCommentsForTask,
+};
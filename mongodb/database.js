@@ -11,12 +11,78 @@ async function connectDB() {
         await client.connect();
         db = client.db('CSE341pt2'); 
         console.log('Connected to MongoDB');
+        await createIndexes();
     } catch (err) {
         console.error('Failed to connect to MongoDB:', err);
         throw err; 
     }
 }
 
+async function createIndexes() {
+    // Indexes backing the filters and sort options of GET /tasks
+    await db.collection('Tasks').createIndexes([
+        { key: { createdAt: -1, _id: -1 } },
+        { key: { updatedAt: -1, _id: -1 } },
+        { key: { dueDate: 1, _id: 1 } },
+        { key: { priority: 1, _id: 1 } },
+        { key: { status: 1, _id: 1 } },
+        { key: { title: 1, _id: 1 } },
+        { key: { assignedTo: 1 } },
+        { key: { createdBy: 1 } },
+        { key: { tags: 1 } },
+        { key: { deletedAt: 1 } },
+        { key: { projectId: 1 } },
+        { key: { overdue: 1 } },
+        { key: { seriesId: 1 } },
+        { key: { parentId: 1 } },
+        { key: { blockedBy: 1 } },
+        // Full-text search used by GET /search
+        { key: { title: 'text', description: 'text', tags: 'text' }, weights: { title: 10, tags: 5, description: 1 }, name: 'task_text' },
+    ]);
+
+    await db.collection('Comments').createIndexes([
+        { key: { taskId: 1, createdAt: 1 } },
+        { key: { deletedAt: 1 } },
+        { key: { content: 'text' }, name: 'comment_text' },
+    ]);
+    await db.collection('AuditLog').createIndex({ taskId: 1, timestamp: 1 });
+    // Login and the user directory look users up by username; email addresses are unique when set
+    await db.collection('users').createIndexes([
+        { key: { username: 1, _id: 1 } },
+        { key: { email: 1 }, unique: true, partialFilterExpression: { email: { $type: 'string' } } },
+    ]);
+    await db.collection('Projects').createIndex({ 'members.userId': 1 });
+    await db.collection('Webhooks').createIndexes([
+        { key: { active: 1, events: 1 } },
+        { key: { createdBy: 1 } },
+    ]);
+    // Each reminder carries a key so the scheduler never sends it twice
+    await db.collection('Notifications').createIndexes([
+        { key: { userId: 1, createdAt: -1, _id: -1 } },
+        { key: { userId: 1, readAt: 1 } },
+        { key: { key: 1 }, unique: true, partialFilterExpression: { key: { $type: 'string' } } },
+    ]);
+    await db.collection('WebhookDeliveries').createIndex({ webhookId: 1, createdAt: -1, _id: -1 });
+
+    // Expired refresh tokens and denylisted access tokens are removed by MongoDB
+    await db.collection('RefreshTokens').createIndexes([
+        { key: { tokenHash: 1 }, unique: true },
+        { key: { userId: 1 } },
+        { key: { expiresAt: 1 }, expireAfterSeconds: 0 },
+    ]);
+    await db.collection('RevokedTokens').createIndexes([
+        { key: { jti: 1 }, unique: true },
+        { key: { expiresAt: 1 }, expireAfterSeconds: 0 },
+    ]);
+    await db.collection('PasswordResetTokens').createIndexes([
+        { key: { tokenHash: 1 }, unique: true },
+        { key: { userId: 1 } },
+        { key: { expiresAt: 1 }, expireAfterSeconds: 0 },
+    ]);
+    await db.collection('RateLimits').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('LoginFailures').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+}
+
 function getDB() {
     if (!db) {
         throw new Error('Database not initialized. Please call connectDB first.');
@@ -24,4 +90,15 @@ function getDB() {
     return db;
 }
 
-module.exports = { connectDB, getDB };
+// Sessions group writes into a transaction, which needs a replica set or sharded cluster
+function startSession() {
+    return client.startSession();
+}
+
+// Let one-off scripts exit once they are done with the database
+async function closeDB() {
+    await client.close();
+    db = null;
+}
+
+module.exports = { connectDB, closeDB, getDB, startSession };
@@ -0,0 +1,53 @@
+const { getDB } = require('./database');
+const config = require('../config');
+
+// Failed password checks are counted per username, whether or not an account
+// with that username exists, so that lockouts do not give away which usernames
+// are taken. A count is forgotten a day after its last failure or lock ended.
+const FORGET_AFTER_MS = 24 * 60 * 60 * 1000;
+
+// When the lock on a username ends, or null if it is not locked
+async function findLoginLock(username) {
+    const db = getDB();
+    const failures = await db.collection('LoginFailures').findOne({ _id: username });
+    return failures && failures.lockedUntil > new Date() ? failures.lockedUntil : null;
+}
+
+// Count a failed password check. From the lockout threshold on, each failure in
+// a row locks the username, for twice as long as the previous one up to the
+// configured maximum. Returns when the lock ends, or null while there is none.
+async function recordFailedLogin(username) {
+    const db = getDB();
+    const loginFailures = db.collection('LoginFailures');
+    const failures = await loginFailures.findOneAndUpdate(
+        { _id: username },
+        { $inc: { count: 1 }, $set: { expiresAt: new Date(Date.now() + FORGET_AFTER_MS) } },
+        { upsert: true, returnDocument: 'after' }
+    );
+
+    const excessFailures = failures.count - config.lockout.threshold;
+    if (excessFailures < 0) {
+        return null;
+    }
+
+    const lockMs = Math.min(config.lockout.baseMs * 2 ** excessFailures, config.lockout.maxMs);
+    const lockedUntil = new Date(Date.now() + lockMs);
+    await loginFailures.updateOne(
+        { _id: username },
+        { $set: { lockedUntil, expiresAt: new Date(lockedUntil.getTime() + FORGET_AFTER_MS) } }
+    );
+    return lockedUntil;
+}
+
+// Forget the failed password checks of a username, after a successful login or
+// once its password has been replaced, lifting any lock
+async function clearFailedLogins(username) {
+    const db = getDB();
+    await db.collection('LoginFailures').deleteOne({ _id: username });
+}
+
+module.exports = {
+    findLoginLock,
+    recordFailedLogin,
+    clearFailedLogins,
+};
@@ -0,0 +1,92 @@
+const { ObjectId } = require('mongodb');
+const { getDB } = require('./database');
+
+// Every kind of notification, by the value stored in its `type`. Inbox filters
+// accept exactly these, so new kinds belong here and in the enum of the
+// Notification schema in routes/notifications.js.
+const NOTIFICATION_TYPES = {
+    DUE_SOON: 'due_soon',
+    OVERDUE: 'overdue',
+    MENTION: 'mention',
+    COMMENT: 'comment',
+};
+
+// Add a notification to a user's inbox. Notifications given a `key` are only
+// created once: later calls with the same key return null.
+async function createNotification({ userId, type, message, taskId = null, key = null, data = {} }) {
+    if (!Object.values(NOTIFICATION_TYPES).includes(type)) {
+        throw new Error(`Unknown notification type: ${type}`);
+    }
+
+    const db = getDB();
+    const notification = {
+        userId: String(userId),
+        type,
+        message,
+        taskId,
+        data,
+        readAt: null,
+        createdAt: new Date(),
+    };
+
+    if (!key) {
+        const result = await db.collection('Notifications').insertOne(notification);
+        return { _id: result.insertedId, ...notification };
+    }
+
+    const result = await db.collection('Notifications').updateOne(
+        { key },
+        { $setOnInsert: { ...notification, key } },
+        { upsert: true }
+    );
+    return result.upsertedId ? { _id: result.upsertedId, ...notification, key } : null;
+}
+
+async function countUnread(userId) {
+    const db = getDB();
+    return await db.collection('Notifications').countDocuments({ userId, readAt: null });
+}
+
+// The user's unread notifications counted by type, e.g. { mention: 2, overdue: 1 }
+async function countUnreadByType(userId) {
+    const db = getDB();
+    const counts = await db.collection('Notifications').aggregate([
+        { $match: { userId, readAt: null } },
+        { $group: { _id: '$type', count: { $sum: 1 } } },
+    ]).toArray();
+    return Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+}
+
+// Mark one of the user's notifications as read, returning it or null when it
+// does not exist or belongs to someone else
+async function markNotificationRead(userId, notificationId) {
+    const db = getDB();
+    const notification = await db.collection('Notifications').findOne({ _id: new ObjectId(notificationId), userId });
+    if (!notification || notification.readAt) {
+        return notification;
+    }
+
+    return await db.collection('Notifications').findOneAndUpdate(
+        { _id: notification._id },
+        { $set: { readAt: new Date() } },
+        { returnDocument: 'after' }
+    );
+}
+
+async function markAllNotificationsRead(userId) {
+    const db = getDB();
+    const result = await db.collection('Notifications').updateMany(
+        { userId, readAt: null },
+        { $set: { readAt: new Date() } }
+    );
+    return result.modifiedCount;
+}
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    createNotification,
+    countUnread,
+    countUnreadByType,
+    markNotificationRead,
+    markAllNotificationsRead,
+};
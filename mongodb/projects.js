@@ -0,0 +1,101 @@
+const { ObjectId } = require('mongodb');
+const { getDB } = require('./database');
+const { NOT_DELETED } = require('./trash');
+const { DEFAULT_ROLE } = require('./user');
+
+// Per-project roles: owners manage the project and its members, editors create
+// and work on tasks, viewers can read and comment
+const PROJECT_ROLES = ['owner', 'editor', 'viewer'];
+
+const isAdmin = (user) => (user.role || DEFAULT_ROLE) === 'admin';
+
+async function findProjectById(id) {
+    const db = getDB();
+    return await db.collection('Projects').findOne({ _id: new ObjectId(id) });
+}
+
+// The user's role in a project, or null when they are not a member
+function getMemberRole(project, user) {
+    const member = (project.members || []).find((m) => m.userId === user.id);
+    return member ? member.role : null;
+}
+
+// Whether the user holds one of the given roles in the project. Admins always do.
+function hasProjectRole(project, user, ...roles) {
+    return isAdmin(user) || roles.includes(getMemberRole(project, user));
+}
+
+async function findProjectIdsForUser(user) {
+    const db = getDB();
+    return await db.collection('Projects').distinct('_id', { 'members.userId': user.id });
+}
+
+// Filter restricting tasks to those the user may see: tasks in projects they
+// belong to, plus tasks outside any project that they created or are assigned
+// to. Admins see every task.
+async function taskVisibilityFilter(user) {
+    if (isAdmin(user)) {
+        return {};
+    }
+
+    const projectIds = await findProjectIdsForUser(user);
+    return {
+        $or: [
+            { projectId: { $in: projectIds } },
+            { projectId: null, $or: [{ createdBy: user.id }, { assignedTo: user.id }] },
+        ],
+    };
+}
+
+// Look up a task that is not in the trash and that the user may see
+async function findVisibleTask(taskId, user, { session } = {}) {
+    if (!ObjectId.isValid(taskId)) {
+        return null;
+    }
+
+    const db = getDB();
+    const visibility = await taskVisibilityFilter(user);
+    return await db.collection('Tasks').findOne({ _id: new ObjectId(taskId), ...NOT_DELETED, ...visibility }, { session });
+}
+
+// Same rule as taskVisibilityFilter, checked against a task already in hand
+async function canViewTask(task, user) {
+    if (isAdmin(user)) {
+        return true;
+    }
+    if (!task.projectId) {
+        return task.createdBy === user.id || task.assignedTo === user.id;
+    }
+
+    const db = getDB();
+    const project = await db.collection('Projects').findOne(
+        { _id: task.projectId, 'members.userId': user.id },
+        { projection: { _id: 1 } }
+    );
+    return Boolean(project);
+}
+
+// IDs of the tasks the user may see, or null when they may see every task.
+// Comments are matched against both forms of the ID as older ones store it as a string.
+async function findVisibleTaskIds(user) {
+    if (isAdmin(user)) {
+        return null;
+    }
+
+    const db = getDB();
+    const visibility = await taskVisibilityFilter(user);
+    const ids = await db.collection('Tasks').distinct('_id', { ...NOT_DELETED, ...visibility });
+    return [...ids, ...ids.map((id) => id.toString())];
+}
+
+module.exports = {
+    PROJECT_ROLES,
+    findProjectById,
+    getMemberRole,
+    hasProjectRole,
+    findProjectIdsForUser,
+    taskVisibilityFilter,
+    findVisibleTask,
+    canViewTask,
+    findVisibleTaskIds,
+};
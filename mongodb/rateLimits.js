@@ -0,0 +1,19 @@
+const { getDB } = require('./database');
+
+// Count a request against `key` in the fixed window starting at `windowStart`,
+// returning the number of requests counted in that window so far. Counters are
+// shared by every instance of the server and removed by MongoDB once their
+// window has ended.
+async function incrementRateLimit(key, windowStart, windowMs) {
+    const db = getDB();
+    const counter = await db.collection('RateLimits').findOneAndUpdate(
+        { _id: `${key}:${windowStart}` },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(windowStart + windowMs) } },
+        { upsert: true, returnDocument: 'after' }
+    );
+    return counter.count;
+}
+
+module.exports = {
+    incrementRateLimit,
+};
@@ -0,0 +1,127 @@
+const { getDB } = require('./database');
+const { NOT_DELETED } = require('./trash');
+const { taskVisibilityFilter } = require('./projects');
+const { CLOSED_STATUSES } = require('../utils/workflow');
+
+// Tasks link to each other in two ways: `parentId` builds the subtask tree and
+// `blockedBy` lists the tasks that have to be finished first. Both must stay
+// acyclic. Cycle checks include trashed tasks, as those can be restored.
+
+const includesId = (tasks, id) => tasks.some((task) => task._id.equals(id));
+
+// Whether making parentId the parent of taskId would put taskId above itself
+async function wouldCreateParentCycle(taskId, parentId, { session } = {}) {
+    if (parentId.equals(taskId)) {
+        return true;
+    }
+
+    const db = getDB();
+    const [parent] = await db.collection('Tasks').aggregate([
+        { $match: { _id: parentId } },
+        {
+            $graphLookup: {
+                from: 'Tasks',
+                startWith: '$parentId',
+                connectFromField: 'parentId',
+                connectToField: '_id',
+                as: 'ancestors',
+            },
+        },
+    ], { session }).toArray();
+    return Boolean(parent) && includesId(parent.ancestors, taskId);
+}
+
+// Whether making taskId wait for blockerIds would make it wait for itself
+async function wouldCreateDependencyCycle(taskId, blockerIds, { session } = {}) {
+    if (blockerIds.some((id) => id.equals(taskId))) {
+        return true;
+    }
+
+    const db = getDB();
+    const blockers = await db.collection('Tasks').aggregate([
+        { $match: { _id: { $in: blockerIds } } },
+        {
+            $graphLookup: {
+                from: 'Tasks',
+                startWith: '$blockedBy',
+                connectFromField: 'blockedBy',
+                connectToField: '_id',
+                as: 'chain',
+            },
+        },
+    ], { session }).toArray();
+    return blockers.some((blocker) => includesId(blocker.chain, taskId));
+}
+
+// Every subtask below a task, at any depth, that is not in the trash. With a
+// user, traversal stops at subtasks they cannot see.
+async function findDescendants(taskId, user = null, { session } = {}) {
+    const db = getDB();
+    const restriction = user ? { ...NOT_DELETED, ...(await taskVisibilityFilter(user)) } : NOT_DELETED;
+    const [task] = await db.collection('Tasks').aggregate([
+        { $match: { _id: taskId } },
+        {
+            $graphLookup: {
+                from: 'Tasks',
+                startWith: '$_id',
+                connectFromField: '_id',
+                connectToField: 'parentId',
+                as: 'descendants',
+                depthField: 'depth',
+                restrictSearchWithMatch: restriction,
+            },
+        },
+    ], { session }).toArray();
+    return task ? task.descendants : [];
+}
+
+// Subtasks, at any depth, that are neither completed nor cancelled
+async function findOpenSubtasks(taskId, options = {}) {
+    const descendants = await findDescendants(taskId, null, options);
+    return descendants.filter((task) => !CLOSED_STATUSES.includes(task.status));
+}
+
+// The visible subtasks below a task, nested under `subtasks` at each level
+async function findSubtaskTree(taskId, user) {
+    const descendants = await findDescendants(taskId, user);
+    const byParent = new Map();
+    descendants
+        .sort((a, b) => a.depth - b.depth || a.createdAt - b.createdAt)
+        .forEach(({ depth, ...task }) => {
+            const key = task.parentId.toString();
+            byParent.set(key, [...(byParent.get(key) || []), task]);
+        });
+
+    const attach = (id) => (byParent.get(id.toString()) || []).map((task) => ({ ...task, subtasks: attach(task._id) }));
+    return attach(taskId);
+}
+
+// Every visible task this one waits for, directly or through other tasks, with
+// `depth` 0 for its own blockers, 1 for theirs and so on
+async function findDependencyChain(taskId, user) {
+    const db = getDB();
+    const visibility = await taskVisibilityFilter(user);
+    const [task] = await db.collection('Tasks').aggregate([
+        { $match: { _id: taskId } },
+        {
+            $graphLookup: {
+                from: 'Tasks',
+                startWith: '$blockedBy',
+                connectFromField: 'blockedBy',
+                connectToField: '_id',
+                as: 'chain',
+                depthField: 'depth',
+                restrictSearchWithMatch: { ...NOT_DELETED, ...visibility },
+            },
+        },
+    ]).toArray();
+    return task ? task.chain.sort((a, b) => a.depth - b.depth) : [];
+}
+
+module.exports = {
+    wouldCreateParentCycle,
+    wouldCreateDependencyCycle,
+    findOpenSubtasks,
+    findSubtaskTree,
+    findDependencyChain,
+};
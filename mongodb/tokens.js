@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { getDB } = require('./database');
+const { findTokenUser } = require('./user');
+const config = require('../config');
+
+// Refresh tokens are only ever stored as SHA-256 hashes
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Create and store a new refresh token for a user, returning the raw token
+async function createRefreshToken(userId) {
+    const db = getDB();
+    const token = crypto.randomBytes(48).toString('hex');
+    const now = new Date();
+
+    await db.collection('RefreshTokens').insertOne({
+        tokenHash: hashToken(token),
+        userId: new ObjectId(userId),
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + config.jwt.refreshTokenTtlDays * 24 * 60 * 60 * 1000),
+        revokedAt: null,
+    });
+    return token;
+}
+
+// Revoke a refresh token so it can be exchanged exactly once. Returns the
+// stored token document, or null when it is unknown, expired or already used.
+// Presenting an already-used token means it leaked, so every refresh token of
+// that user is revoked.
+async function consumeRefreshToken(token) {
+    const db = getDB();
+    const tokens = db.collection('RefreshTokens');
+    const tokenHash = hashToken(token);
+    const now = new Date();
+
+    const stored = await tokens.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        { $set: { revokedAt: now } }
+    );
+    if (stored) {
+        return stored;
+    }
+
+    const reused = await tokens.findOne({ tokenHash, revokedAt: { $ne: null } });
+    if (reused) {
+        await revokeAllRefreshTokens(reused.userId);
+    }
+    return null;
+}
+
+// Revoke a single refresh token belonging to the given user
+async function revokeRefreshToken(token, userId) {
+    const db = getDB();
+    await db.collection('RefreshTokens').updateOne(
+        { tokenHash: hashToken(token), userId: new ObjectId(userId), revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+}
+
+// Revoke every outstanding refresh token of a user
+async function revokeAllRefreshTokens(userId) {
+    const db = getDB();
+    await db.collection('RefreshTokens').updateMany(
+        { userId: new ObjectId(userId), revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+}
+
+// Create a single-use password reset token for a user, returning the raw token.
+// Tokens the user asked for before stop working.
+async function createPasswordResetToken(userId) {
+    const db = getDB();
+    const resetTokens = db.collection('PasswordResetTokens');
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    await resetTokens.deleteMany({ userId: new ObjectId(userId) });
+    await resetTokens.insertOne({
+        tokenHash: hashToken(token),
+        userId: new ObjectId(userId),
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + config.passwords.resetTokenTtlMinutes * 60 * 1000),
+    });
+    return token;
+}
+
+// Look up a password reset token that can still be used, or null
+async function findPasswordResetToken(token) {
+    const db = getDB();
+    return await db.collection('PasswordResetTokens').findOne({
+        tokenHash: hashToken(token),
+        expiresAt: { $gt: new Date() },
+    });
+}
+
+// Use up a password reset token, returning the stored token document, or null
+// when it is unknown, expired or already used
+async function consumePasswordResetToken(token) {
+    const db = getDB();
+    return await db.collection('PasswordResetTokens').findOneAndDelete({
+        tokenHash: hashToken(token),
+        expiresAt: { $gt: new Date() },
+    });
+}
+
+// Drop every outstanding password reset token of a user
+async function revokePasswordResetTokens(userId) {
+    const db = getDB();
+    await db.collection('PasswordResetTokens').deleteMany({ userId: new ObjectId(userId) });
+}
+
+// Denylist an access token by its jti until it would have expired anyway
+async function revokeAccessToken(jti, expiresAt) {
+    const db = getDB();
+    await db.collection('RevokedTokens').updateOne(
+        { jti },
+        { $set: { jti, expiresAt } },
+        { upsert: true }
+    );
+}
+
+async function isAccessTokenRevoked(jti) {
+    const db = getDB();
+    const revoked = await db.collection('RevokedTokens').findOne({ jti });
+    return Boolean(revoked);
+}
+
+// The stored user behind an access token while its session lasts, or null once
+// the token was revoked or the user changed their password or was removed
+async function findSessionUser(tokenUser) {
+    return (await isAccessTokenRevoked(tokenUser.jti)) ? null : await findTokenUser(tokenUser);
+}
+
+module.exports = {
+    createRefreshToken,
+    consumeRefreshToken,
+    revokeRefreshToken,
+    revokeAllRefreshTokens,
+    revokeAccessToken,
+    isAccessTokenRevoked,
+    findSessionUser,
+    createPasswordResetToken,
+    findPasswordResetToken,
+    consumePasswordResetToken,
+    revokePasswordResetTokens,
+};
@@ -0,0 +1,54 @@
+const { ObjectId } = require('mongodb');
+const { getDB } = require('./database');
+
+// Filter matching records that have not been moved to the trash
+const NOT_DELETED = { deletedAt: null };
+
+// Mark a record as deleted, returning it or null when it is missing or already in the trash
+async function softDelete(collectionName, id, user, { deletedAt = new Date(), ...extra } = {}, { session } = {}) {
+    const db = getDB();
+    return await db.collection(collectionName).findOneAndUpdate(
+        { _id: new ObjectId(id), ...NOT_DELETED },
+        { $set: { deletedAt, deletedBy: user.id, ...extra } },
+        { returnDocument: 'after', session }
+    );
+}
+
+// Take a record out of the trash, returning it or null when it is not in the trash
+async function restore(collectionName, id) {
+    const db = getDB();
+    return await db.collection(collectionName).findOneAndUpdate(
+        { _id: new ObjectId(id), deletedAt: { $ne: null } },
+        { $unset: { deletedAt: '', deletedBy: '', deletedWithTask: '' } },
+        { returnDocument: 'after' }
+    );
+}
+
+// Records in the trash matching the filter, most recently deleted first
+async function findTrash(collectionName, filter = {}) {
+    const db = getDB();
+    return await db.collection(collectionName)
+        .find({ ...filter, deletedAt: { $ne: null } })
+        .sort({ deletedAt: -1 })
+        .toArray();
+}
+
+// Permanently remove records that have been in the trash since before the cutoff.
+// Returns the removed records so that callers can audit them.
+async function purgeTrash(collectionName, cutoff) {
+    const db = getDB();
+    const collection = db.collection(collectionName);
+    const purged = await collection.find({ deletedAt: { $ne: null, $lt: cutoff } }).toArray();
+    if (purged.length > 0) {
+        await collection.deleteMany({ _id: { $in: purged.map((doc) => doc._id) }, deletedAt: { $ne: null } });
+    }
+    return purged;
+}
+
+module.exports = {
+    NOT_DELETED,
+    softDelete,
+    restore,
+    findTrash,
+    purgeTrash,
+};
@@ -1,8 +1,28 @@
+const crypto = require('crypto');
 const { getDB } = require('./database'); 
+const { ObjectId } = require('mongodb');
 const bcrypt = require('bcrypt');
 
-// Create a new user and hash the password
-async function createUser(username, password) {
+const ROLES = ['admin', 'manager', 'member'];
+const DEFAULT_ROLE = 'member';
+
+// Credentials and login bookkeeping never leave the server
+const PUBLIC_PROJECTION = { password: 0, passwordChangedAt: 0 };
+
+// What other users get to see of someone, e.g. in the directory or on tasks
+function toUserSummary(user) {
+    return {
+        _id: user._id,
+        username: user.username,
+        displayName: user.displayName || null,
+        avatarUrl: user.avatarUrl || null,
+    };
+}
+
+// Create a new user and hash the password. The email address is optional and
+// is where password reset links are sent. New users are members; admins are
+// made with scripts/setRole.js or by another admin.
+async function createUser(username, password, email = null) {
     const db = getDB();
     const users = db.collection('users');
 
@@ -15,8 +35,13 @@ async function createUser(username, password) {
    
     const hashedPassword = await bcrypt.hash(password, 10);
 
-   
-    const result = await users.insertOne({ username, password: hashedPassword });
+    const result = await users.insertOne({
+        username,
+        password: hashedPassword,
+        email: email ? email.toLowerCase() : null,
+        role: DEFAULT_ROLE,
+        passwordChangedAt: new Date(),
+    });
     return result.insertedId;
 }
 
@@ -27,13 +52,147 @@ async function findUserByUsername(username) {
     return await users.findOne({ username });
 }
 
+// Find a user by email address, ignoring case
+async function findUserByEmail(email) {
+    const db = getDB();
+    const users = db.collection('users');
+    return await users.findOne({ email: email.toLowerCase() });
+}
+
+// Find a user by their ID
+async function findUserById(id) {
+    const db = getDB();
+    const users = db.collection('users');
+    return await users.findOne({ _id: new ObjectId(id) });
+}
+
+// Find a user by their ID without their credentials, or null
+async function findUserProfile(id) {
+    const db = getDB();
+    const users = db.collection('users');
+    return await users.findOne({ _id: new ObjectId(id) }, { projection: PUBLIC_PROJECTION });
+}
+
+// Summaries of the users with the given IDs, keyed by ID. IDs that are not
+// ObjectIds or do not belong to a user are left out.
+async function findUserSummaries(ids) {
+    const objectIds = [...new Set(ids.filter((id) => id && ObjectId.isValid(id)).map(String))]
+        .map((id) => new ObjectId(id));
+    if (objectIds.length === 0) {
+        return new Map();
+    }
+
+    const db = getDB();
+    const users = await db.collection('users')
+        .find({ _id: { $in: objectIds } }, { projection: { username: 1, displayName: 1, avatarUrl: 1 } })
+        .toArray();
+    return new Map(users.map((user) => [user._id.toString(), toUserSummary(user)]));
+}
+
+// Users with any of the given usernames
+async function findUsersByUsernames(usernames) {
+    if (usernames.length === 0) {
+        return [];
+    }
+    const db = getDB();
+    return await db.collection('users')
+        .find({ username: { $in: usernames } }, { projection: { username: 1, displayName: 1, avatarUrl: 1 } })
+        .toArray();
+}
+
+// List all users without their credentials
+async function listUsers() {
+    const db = getDB();
+    const users = db.collection('users');
+    return await users.find({}, { projection: PUBLIC_PROJECTION }).toArray();
+}
+
+// Set profile fields, removing those set to null. Returns the updated profile
+// or null when the user does not exist.
+async function updateUserProfile(id, changes) {
+    const db = getDB();
+    const $set = {};
+    const $unset = {};
+    Object.entries(changes).forEach(([field, value]) => {
+        if (value === null) {
+            $unset[field] = '';
+        } else {
+            $set[field] = field === 'email' ? value.toLowerCase() : value;
+        }
+    });
+
+    return await db.collection('users').findOneAndUpdate(
+        { _id: new ObjectId(id) },
+        { $set: { ...$set, updatedAt: new Date() }, ...(Object.keys($unset).length > 0 ? { $unset } : {}) },
+        { returnDocument: 'after', projection: PUBLIC_PROJECTION }
+    );
+}
 
+// Change a user's role, returning the updated user or null when it does not exist
+async function updateUserRole(id, role) {
+    const db = getDB();
+    const users = db.collection('users');
+    return await users.findOneAndUpdate(
+        { _id: new ObjectId(id) },
+        { $set: { role } },
+        { returnDocument: 'after', projection: PUBLIC_PROJECTION }
+    );
+}
+
+// Stands in for the password hash of users that do not exist
+const UNKNOWN_USER_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+// Check a password. Without a user it is checked against a throwaway hash and
+// never matches, so that logins with unknown usernames take just as long.
 async function comparePassword(user, inputPassword) {
-    return await bcrypt.compare(inputPassword, user.password);
+    const matches = await bcrypt.compare(String(inputPassword), user ? user.password : UNKNOWN_USER_HASH);
+    return Boolean(user) && matches;
+}
+
+// Hash and store a new password. Access tokens issued before the change stop
+// working (see findTokenUser).
+async function updatePassword(userId, password) {
+    const db = getDB();
+    const hashedPassword = await bcrypt.hash(password, 10);
+    await db.collection('users').updateOne(
+        { _id: new ObjectId(userId) },
+        { $set: { password: hashedPassword, passwordChangedAt: new Date() } }
+    );
+}
+
+// The stored role and password change time of the user an access token was
+// issued to, or null when the token no longer stands for a session: the user is
+// gone or changed their password after it was issued. `iat` only has second
+// precision, so tokens issued in the same second as the change stay valid; that
+// is what keeps the tokens handed out with the change working.
+async function findTokenUser(tokenUser) {
+    const db = getDB();
+    const user = await db.collection('users').findOne(
+        { _id: new ObjectId(tokenUser.id) },
+        { projection: { role: 1, passwordChangedAt: 1 } }
+    );
+    if (!user || user.passwordChangedAt >= new Date((tokenUser.iat + 1) * 1000)) {
+        return null;
+    }
+    return user;
 }
 
 module.exports = {
+    ROLES,
+    DEFAULT_ROLE,
+    PUBLIC_PROJECTION,
+    toUserSummary,
     createUser,
     findUserByUsername,
+    findUserByEmail,
+    findUserById,
+    findUserProfile,
+    findUserSummaries,
+    findUsersByUsernames,
+    listUsers,
+    updateUserProfile,
+    updateUserRole,
     comparePassword,
+    updatePassword,
+    findTokenUser,
 };
@@ -1,8 +1,114 @@
 const express = require('express');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const router = express.Router();
-const { createUser, findUserByUsername, comparePassword } = require('../mongodb/user'); 
-const JWT_SECRET = 'your_jwt_secret';
+const config = require('../config');
+const authenticateToken = require('../middleware/authMiddleware');
+const rateLimit = require('../middleware/rateLimit');
+const validateBody = require('../middleware/validate');
+const {
+    createUser,
+    findUserByUsername,
+    findUserByEmail,
+    findUserById,
+    comparePassword,
+    updatePassword,
+    DEFAULT_ROLE,
+} = require('../mongodb/user');
+const { findLoginLock, recordFailedLogin, clearFailedLogins } = require('../mongodb/loginFailures');
+const {
+    createRefreshToken,
+    consumeRefreshToken,
+    revokeRefreshToken,
+    revokeAllRefreshTokens,
+    revokeAccessToken,
+    createPasswordResetToken,
+    findPasswordResetToken,
+    consumePasswordResetToken,
+    revokePasswordResetTokens,
+} = require('../mongodb/tokens');
+const { isMailConfigured, sendMail } = require('../services/mailer');
+const { checkPassword } = require('../utils/passwordPolicy');
+
+// Limits on the routes that check or create passwords, per client IP and per
+// username so that neither spreading attempts over accounts nor over addresses helps.
+// Behind a reverse proxy the client IP needs TRUST_PROXY (see config.server.trustProxy).
+function authRateLimit(name) {
+    const { windowMs, maxPerIp, maxPerUsername } = config.rateLimit.auth;
+    return rateLimit({
+        name,
+        windowMs,
+        limits: [
+            { by: 'ip', max: maxPerIp, key: (req) => req.ip },
+            {
+                by: 'username',
+                max: maxPerUsername,
+                key: (req) => (typeof req.body.username === 'string' ? req.body.username.toLowerCase() : null),
+            },
+        ],
+    });
+}
+
+// Usernames without an account are locked just like accounts, so neither a 401
+// nor a 429 tells whether an account exists
+function sendAccountLocked(res, lockedUntil) {
+    const retryAfter = Math.ceil((lockedUntil.getTime() - Date.now()) / 1000);
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+        message: `Too many failed login attempts, try again in ${retryAfter} seconds`,
+        retryAfter,
+    });
+}
+
+// Respond with 400 in the format of validateBody when a new password breaks the policy
+function sendPasswordProblems(res, field, problems) {
+    res.status(400).json({
+        message: 'Validation failed',
+        errors: problems.map((message) => ({ field, message })),
+    });
+}
+
+// Store a new password and end every session of the user: access tokens issued
+// before now are rejected, refresh and reset tokens are revoked and any lock on
+// the username is lifted
+async function replacePassword(user, password) {
+    await updatePassword(user._id, password);
+    await revokeAllRefreshTokens(user._id);
+    await revokePasswordResetTokens(user._id);
+    await clearFailedLogins(user.username);
+}
+
+async function sendPasswordResetEmail(user, token) {
+    const { resetUrl, resetTokenTtlMinutes } = config.passwords;
+    const instructions = resetUrl
+        ? `Open this link to choose a new password:\n\n${resetUrl}?token=${token}`
+        : `Send this token with your new password to POST /auth/reset-password:\n\n${token}`;
+
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: [
+            `Hello ${user.username},`,
+            '',
+            'Someone asked to reset the password of your account.',
+            instructions,
+            '',
+            `This expires in ${resetTokenTtlMinutes} minutes and works once.`,
+            'If you did not ask for it, ignore this email.',
+        ].join('\n'),
+    });
+}
+
+// Issue a short-lived access token together with a new refresh token
+async function issueTokens(user) {
+    const token = jwt.sign(
+        { id: user._id, role: user.role || DEFAULT_ROLE },
+        config.jwt.secret,
+        { expiresIn: config.jwt.accessTokenTtl, jwtid: crypto.randomUUID() }
+    );
+    const refreshToken = await createRefreshToken(user._id);
+    return { token, refreshToken };
+}
 
 /**
  * @swagger
@@ -11,6 +117,31 @@ const JWT_SECRET = 'your_jwt_secret';
  *   description: User authentication
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Registration:
+ *       type: object
+ *       required:
+ *         - username
+ *         - password
+ *       properties:
+ *         username:
+ *           type: string
+ *           pattern: '^[A-Za-z0-9_.-]{3,30}$'
+ *           description: 3 to 30 letters, digits, dots, dashes or underscores
+ *         password:
+ *           type: string
+ *           description: >
+ *             At least 10 characters mixing three of lowercase letters, uppercase letters, digits and
+ *             symbols, without the username and not a common password (configurable)
+ *         email:
+ *           type: string
+ *           pattern: '^[^@\s]+@[^@\s]+\.[^@\s]+$'
+ *           description: Where password reset emails are sent
+ */
+
 /**
  * @swagger
  * /auth/register:
@@ -22,30 +153,42 @@ const JWT_SECRET = 'your_jwt_secret';
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               username:
- *                 type: string
- *               password:
- *                 type: string
+ *             $ref: '#/components/schemas/Registration'
+ *     description: >
+ *       New users start with the member role. The first admin is made with scripts/setRole.js.
+ *       Attempts are rate limited per client IP and per username.
  *     responses:
  *       201:
  *         description: User registered successfully
  *       400:
- *         description: Username already exists
+ *         description: Username or email already in use, or the fields or password failed validation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         description: Internal server error
  */
-router.post('/register', async (req, res) => {
-    const { username, password } = req.body;
+router.post('/register', authRateLimit('register'), validateBody('Registration'), async (req, res) => {
+    const { username, password, email } = req.body;
+
+    const passwordProblems = checkPassword(password, username);
+    if (passwordProblems.length > 0) {
+        return sendPasswordProblems(res, 'password', passwordProblems);
+    }
 
     try {
         const existingUser = await findUserByUsername(username);
         if (existingUser) {
             return res.status(400).json({ message: 'Username already exists' });
         }
+        if (email && await findUserByEmail(email)) {
+            return res.status(400).json({ message: 'Email is already in use' });
+        }
 
-        const userId = await createUser(username, password);
+        const userId = await createUser(username, password, email);
         res.status(201).json({ message: 'User registered successfully', userId });
     } catch (error) {
         console.error('Error registering user:', error);
@@ -53,11 +196,47 @@ router.post('/register', async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuthTokens:
+ *       type: object
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Short-lived access token to send as a bearer token
+ *         refreshToken:
+ *           type: string
+ *           description: Single-use token to exchange for a new token pair at /auth/refresh
+ *   responses:
+ *     TooManyRequests:
+ *       description: Too many requests or failed login attempts; wait for the number of seconds in Retry-After
+ *       headers:
+ *         Retry-After:
+ *           schema:
+ *             type: integer
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *               retryAfter:
+ *                 type: integer
+ */
+
 /**
  * @swagger
  * /auth/login:
  *   post:
  *     summary: Login a user
+ *     description: >
+ *       Attempts are rate limited per client IP and per username. After repeated failed password checks
+ *       the username is locked for a while, longer with every further failure, and logins with it fail
+ *       even with the right password, getting 429 with Retry-After. Usernames without an account are
+ *       locked the same way, so a lock does not tell whether an account exists.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -76,44 +255,340 @@ router.post('/register', async (req, res) => {
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 token:
- *                   type: string
+ *               $ref: '#/components/schemas/AuthTokens'
  *       401:
  *         description: Invalid credentials
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         description: Internal server error
  */
-router.post('/login', async (req, res) => {
+router.post('/login', authRateLimit('login'), async (req, res) => {
     const { username, password } = req.body;
 
+    if (typeof username !== 'string' || typeof password !== 'string') {
+        return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
     try {
+        const lockedUntil = await findLoginLock(username);
+        if (lockedUntil) {
+            return sendAccountLocked(res, lockedUntil);
+        }
+
         const user = await findUserByUsername(username);
-        if (!user || !(await comparePassword(user, password))) {
+        if (!(await comparePassword(user, password))) {
+            const newLock = await recordFailedLogin(username);
+            if (newLock) {
+                return sendAccountLocked(res, newLock);
+            }
             return res.status(401).json({ message: 'Invalid credentials' });
         }
 
-        const token = jwt.sign({ id: user._id }, JWT_SECRET, { expiresIn: '1h' });
-        res.status(200).json({ token });
+        await clearFailedLogins(username);
+        res.status(200).json(await issueTokens(user));
     } catch (error) {
         console.error('Error logging in user:', error);
         res.status(500).json({ message: 'Failed to log in user', error: error.message });
     }
 });
 
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: Refresh tokens are single-use. Reusing one revokes every refresh token of its user.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: Refresh token is required
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    try {
+        const stored = await consumeRefreshToken(refreshToken);
+        const user = stored && await findUserById(stored.userId);
+        if (!user) {
+            return res.status(401).json({ message: 'Invalid refresh token' });
+        }
+
+        res.status(200).json(await issueTokens(user));
+    } catch (error) {
+        console.error('Error refreshing token:', error);
+        res.status(500).json({ message: 'Failed to refresh token', error: error.message });
+    }
+});
+
 /**
  * @swagger
  * /auth/logout:
  *   post:
  *     summary: Logout a user
+ *     description: Revokes the current access token and, when given, the refresh token.
  *     tags: [Auth]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: User logged out successfully
+ *       401:
+ *         description: Access token required
+ *       500:
+ *         description: Internal server error
  */
-router.post('/logout', (req, res) => {
-    res.status(200).json({ message: 'User logged out successfully' });
+router.post('/logout', authenticateToken, async (req, res) => {
+    const { refreshToken } = req.body || {};
+
+    try {
+        await revokeAccessToken(req.user.jti, new Date(req.user.exp * 1000));
+        if (refreshToken) {
+            await revokeRefreshToken(refreshToken, req.user.id);
+        }
+
+        res.status(200).json({ message: 'User logged out successfully' });
+    } catch (error) {
+        console.error('Error logging out user:', error);
+        res.status(500).json({ message: 'Failed to log out user', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /auth/change-password:
+ *   post:
+ *     summary: Change the password of the logged in user
+ *     description: >
+ *       Ends every session of the user, including the current one, and responds with a new token pair
+ *       so the caller stays logged in. Failed checks of the current password count towards the login lockout.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed; the response holds the new tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: The new password breaks the password policy or is the current one
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: The current password is wrong
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/change-password', authenticateToken, authRateLimit('change-password'), async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    if (typeof currentPassword !== 'string' || typeof newPassword !== 'string') {
+        return res.status(400).json({ message: 'currentPassword and newPassword are required' });
+    }
+
+    try {
+        const user = await findUserById(req.user.id);
+        if (!user) {
+            return res.status(401).json({ message: 'Invalid credentials' });
+        }
+        const lockedUntil = await findLoginLock(user.username);
+        if (lockedUntil) {
+            return sendAccountLocked(res, lockedUntil);
+        }
+
+        if (!(await comparePassword(user, currentPassword))) {
+            const newLock = await recordFailedLogin(user.username);
+            if (newLock) {
+                return sendAccountLocked(res, newLock);
+            }
+            return res.status(401).json({ message: 'Current password is incorrect' });
+        }
+
+        const passwordProblems = checkPassword(newPassword, user.username);
+        if (newPassword === currentPassword) {
+            passwordProblems.push('must differ from the current password');
+        }
+        if (passwordProblems.length > 0) {
+            return sendPasswordProblems(res, 'newPassword', passwordProblems);
+        }
+
+        await replacePassword(user, newPassword);
+        res.status(200).json(await issueTokens(user));
+    } catch (error) {
+        console.error('Error changing password:', error);
+        res.status(500).json({ message: 'Failed to change password', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Email a password reset token
+ *     description: >
+ *       Sends a single-use reset token to the email address of the account with the given username or
+ *       email. The response is the same whether or not such an account exists. Requesting a new token
+ *       invalidates earlier ones.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: If the account exists and has an email address, a reset email is on its way
+ *       400:
+ *         description: Neither username nor email was given
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       503:
+ *         description: The server has no way of sending emails (MAIL_TRANSPORT is not set)
+ */
+router.post('/forgot-password', authRateLimit('forgot-password'), async (req, res) => {
+    const { username, email } = req.body;
+
+    if (!isMailConfigured()) {
+        return res.status(503).json({ message: 'Password resets by email are not available' });
+    }
+
+    if (typeof username !== 'string' && typeof email !== 'string') {
+        return res.status(400).json({ message: 'Provide a username or an email address' });
+    }
+
+    try {
+        const user = typeof username === 'string' ? await findUserByUsername(username) : await findUserByEmail(email);
+        if (user && user.email) {
+            const token = await createPasswordResetToken(user._id);
+            await sendPasswordResetEmail(user, token);
+        }
+
+        res.status(202).json({ message: 'If the account exists, a password reset email has been sent' });
+    } catch (error) {
+        console.error('Error requesting password reset:', error);
+        res.status(500).json({ message: 'Failed to request password reset', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Choose a new password with a reset token
+ *     description: The token works once. Every session of the user ends and any login lockout is lifted.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset; log in with the new password
+ *       400:
+ *         description: Invalid, expired or used token, or the new password breaks the password policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/reset-password', authRateLimit('reset-password'), async (req, res) => {
+    const { token, newPassword } = req.body;
+
+    if (typeof token !== 'string' || typeof newPassword !== 'string') {
+        return res.status(400).json({ message: 'token and newPassword are required' });
+    }
+
+    try {
+        const resetToken = await findPasswordResetToken(token);
+        const user = resetToken && await findUserById(resetToken.userId);
+        if (!user) {
+            return res.status(400).json({ message: 'Invalid or expired reset token' });
+        }
+
+        // The token is only used up once the password is accepted, so a rejected one can be corrected
+        const passwordProblems = checkPassword(newPassword, user.username);
+        if (passwordProblems.length > 0) {
+            return sendPasswordProblems(res, 'newPassword', passwordProblems);
+        }
+
+        if (!(await consumePasswordResetToken(token))) {
+            return res.status(400).json({ message: 'Invalid or expired reset token' });
+        }
+
+        await replacePassword(user, newPassword);
+        res.status(200).json({ message: 'Password reset successfully' });
+    } catch (error) {
+        console.error('Error resetting password:', error);
+        res.status(500).json({ message: 'Failed to reset password', error: error.message });
+    }
 });
 
 module.exports = router;
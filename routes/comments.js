@@ -2,6 +2,108 @@ const express = require('express');
 const { ObjectId } = require('mongodb');
 const router = express.Router();
 const { getDB } = require('../mongodb/database');
+const { createComment, relinkComment, resolveMentions } = require('../mongodb/comments');
+const { recordActivity } = require('../services/activity');
+const { NOT_DELETED, softDelete } = require('../mongodb/trash');
+const { findVisibleTask, findVisibleTaskIds } = require('../mongodb/projects');
+const { canModifyComment } = require('../utils/permissions');
+const { versionOf, entityTag, ifMatchSatisfied, ifNoneMatchSatisfied, versionFilter } = require('../utils/etag');
+const validateBody = require('../middleware/validate');
+
+// Fields clients may change through PUT and PATCH
+const UPDATABLE_FIELDS = ['taskId', 'content'];
+
+// Look up a comment that is not in the trash and whose task the user may see
+async function findVisibleComment(commentId, user) {
+    const db = getDB();
+    const comment = await db.collection('Comments').findOne({ _id: new ObjectId(commentId), ...NOT_DELETED });
+    if (!comment || !(await findVisibleTask(comment.taskId, user))) {
+        return null;
+    }
+    return comment;
+}
+
+function staleCommentResponse(res, comment) {
+    return res.status(412).json({
+        message: 'The comment has changed since you last read it; fetch it again and reapply your changes',
+        etag: entityTag(comment),
+    });
+}
+
+// Shared by PUT and PATCH: looks the comment up, checks the caller wrote it
+// (or is an admin), sets the changed fields and responds with the result.
+// With an If-Match header the update only goes ahead while the comment is unchanged.
+async function applyCommentUpdate(req, res, changes) {
+    const commentId = req.params.id;
+    const ifMatch = req.get('If-Match');
+
+    if (!ObjectId.isValid(commentId)) {
+        return res.status(400).json({ message: 'Invalid comment ID format' });
+    }
+
+    try {
+        const comment = await findVisibleComment(commentId, req.user);
+
+        if (!comment) {
+            return res.status(404).json({ message: 'Comment not found' });
+        }
+
+        if (!canModifyComment(comment, req.user)) {
+            return res.status(403).json({ message: 'Only the comment author or an admin can edit this comment' });
+        }
+
+        if (ifMatch !== undefined && !ifMatchSatisfied(ifMatch, comment)) {
+            return staleCommentResponse(res, comment);
+        }
+
+        // Moving a comment to another task requires that task to exist and be visible
+        if (changes.taskId) {
+            const task = await findVisibleTask(changes.taskId, req.user);
+            if (!task) {
+                return res.status(404).json({ message: 'Task not found' });
+            }
+            changes = { ...changes, taskId: task._id };
+        }
+
+        if (changes.content !== undefined) {
+            changes = { ...changes, mentions: await resolveMentions(changes.content) };
+        }
+
+        const db = getDB();
+        const updatedComment = await db.collection('Comments').findOneAndUpdate(
+            ifMatch !== undefined ? { _id: comment._id, ...versionFilter(versionOf(comment)) } : { _id: comment._id },
+            { $set: { ...changes, updatedAt: new Date() }, $inc: { version: 1 } },
+            { returnDocument: 'after' }
+        );
+
+        if (!updatedComment) {
+            const currentComment = ifMatch !== undefined && await findVisibleComment(commentId, req.user);
+            return currentComment
+                ? staleCommentResponse(res, currentComment)
+                : res.status(404).json({ message: 'Comment not found' });
+        }
+
+        if (changes.taskId && !changes.taskId.equals(comment.taskId)) {
+            await relinkComment(comment._id, comment.taskId, changes.taskId);
+        }
+
+        await recordActivity({
+            entityType: 'comment',
+            entityId: comment._id,
+            taskId: updatedComment.taskId,
+            action: 'update',
+            actor: req.user,
+            before: comment,
+            after: updatedComment,
+        });
+
+        res.set('ETag', entityTag(updatedComment));
+        res.status(200).json({ message: 'Comment updated successfully', comment: updatedComment });
+    } catch (error) {
+        console.error('Error updating comment:', error);
+        res.status(500).json({ message: 'Failed to update comment', error: error.message });
+    }
+}
 
 /**
  * @swagger
@@ -15,17 +117,65 @@ const { getDB } = require('../mongodb/database');
  *       properties:
  *         id:
  *           type: string
+ *           readOnly: true
  *           description: The auto-generated ID of the comment
  *         taskId:
  *           type: string
+ *           pattern: '^[0-9a-f]{24}$'
  *           description: The ID of the task associated with this comment
  *         content:
  *           type: string
+ *           minLength: 1
+ *           maxLength: 5000
  *           description: The content of the comment
+ *         author:
+ *           type: string
+ *           readOnly: true
+ *           description: The ID of the user who wrote the comment, taken from the access token
+ *         mentions:
+ *           type: array
+ *           readOnly: true
+ *           description: >
+ *             The users mentioned as @username in the content. They are notified, as long as they can see
+ *             the task, when the comment is created or when an edit first mentions them.
+ *           items:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               username:
+ *                 type: string
  *         createdAt:
  *           type: string
  *           format: date-time
+ *           readOnly: true
  *           description: Date and time when the comment was created
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: Date and time when the comment was last updated
+ *         version:
+ *           type: integer
+ *           readOnly: true
+ *           description: Goes up by one every time the comment changes. The comment's ETag is built from it.
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: When the comment was moved to the trash. Only present on comments listed by /trash.
+ *         deletedBy:
+ *           type: string
+ *           readOnly: true
+ *           description: The ID of the user who moved the comment to the trash
+ *     CommentUpdateResult:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *           example: Comment updated successfully
+ *         comment:
+ *           $ref: '#/components/schemas/Comment'
  */
 
 /**
@@ -49,7 +199,9 @@ const { getDB } = require('../mongodb/database');
 router.get('/', async (req, res) => {
     try {
         const db = getDB();
-        const comments = await db.collection('Comments').find().toArray();
+        const taskIds = await findVisibleTaskIds(req.user);
+        const filter = taskIds ? { ...NOT_DELETED, taskId: { $in: taskIds } } : NOT_DELETED;
+        const comments = await db.collection('Comments').find(filter).toArray();
         res.status(200).json(comments);
     } catch (error) {
         console.error('Error fetching comments:', error);
@@ -72,13 +224,21 @@ router.get('/', async (req, res) => {
  *           type: string
  *         required: true
  *         description: The comment ID
+ *       - $ref: '#/components/parameters/IfNoneMatch'
  *     responses:
  *       200:
  *         description: Comment found by ID
+ *         headers:
+ *           ETag:
+ *             schema:
+ *               type: string
+ *             description: Identifies this version of the comment; send it in If-Match to update it
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Comment'
+ *       304:
+ *         description: The comment has not changed since the ETag in If-None-Match
  *       404:
  *         description: Comment not found
  *       400:
@@ -92,13 +252,18 @@ router.get('/:id', async (req, res) => {
     }
 
     try {
-        const db = getDB();
-        const comment = await db.collection('Comments').findOne({ _id: new ObjectId(commentId) });
+        const comment = await findVisibleComment(commentId, req.user);
 
         if (!comment) {
             return res.status(404).json({ message: 'Comment not found' });
         }
-        
+
+        res.set('ETag', entityTag(comment));
+        const ifNoneMatch = req.get('If-None-Match');
+        if (ifNoneMatch && ifNoneMatchSatisfied(ifNoneMatch, comment)) {
+            return res.status(304).end();
+        }
+
         res.status(200).json(comment);
     } catch (error) {
         console.error('Error fetching comment by ID:', error);
@@ -124,24 +289,35 @@ router.get('/:id', async (req, res) => {
  *       201:
  *         description: Comment created successfully
  *       400:
- *         description: All fields are required
+ *         description: The comment failed validation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Task not found
  */
-router.post('/', async (req, res) => {
+router.post('/', validateBody('Comment'), async (req, res) => {
     const { taskId, content } = req.body;
 
-    if (!taskId || !content) {
-        return res.status(400).json({ message: 'All fields are required' });
-    }
-
     try {
-        const db = getDB();
-        const newComment = {
-            taskId,
-            content,
-            createdAt: new Date()
-        };
-        const result = await db.collection('Comments').insertOne(newComment);
-        res.status(201).json({ message: 'Comment created successfully', commentId: result.insertedId });
+        const task = await findVisibleTask(taskId, req.user);
+
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        const comment = await createComment(task, content, req.user);
+        await recordActivity({
+            entityType: 'comment',
+            entityId: comment._id,
+            taskId: task._id,
+            action: 'create',
+            actor: req.user,
+            after: comment,
+            task,
+        });
+        res.status(201).json({ message: 'Comment created successfully', commentId: comment._id });
     } catch (error) {
         console.error('Error creating comment:', error);
         res.status(500).json({ message: 'Failed to create comment', error: error.message });
@@ -163,6 +339,7 @@ router.post('/', async (req, res) => {
  *           type: string
  *         required: true
  *         description: The comment ID
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -172,51 +349,104 @@ router.post('/', async (req, res) => {
  *     responses:
  *       200:
  *         description: Comment updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CommentUpdateResult'
+ *       403:
+ *         description: Only the author or an admin can edit the comment
  *       404:
- *         description: Comment not found
+ *         description: Comment or task not found
+ *       412:
+ *         description: The comment has changed since the ETag in If-Match was read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PreconditionFailed'
  *       400:
- *         description: All fields are required
+ *         description: Invalid comment ID format or the comment failed validation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  */
-router.put('/:id', async (req, res) => {
-    const commentId = req.params.id;
-
-    if (!ObjectId.isValid(commentId)) {
-        return res.status(400).json({ message: 'Invalid comment ID format' });
-    }
-
+router.put('/:id', validateBody('Comment'), async (req, res) => {
     const { taskId, content } = req.body;
-    
-    if (!taskId || !content) {
-        return res.status(400).json({ message: 'All fields are required' });
-    }
 
-    try {
-        const db = getDB();
-        const updatedComment = {
-            $set: {
-                taskId,
-                content,
-            }
-        };
+    await applyCommentUpdate(req, res, { taskId, content });
+});
 
-        const result = await db.collection('Comments').updateOne({ _id: new ObjectId(commentId) }, updatedComment);
-        
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ message: 'Comment not found' });
+/**
+ * @swagger
+ * /comments/{id}:
+ *   patch:
+ *     summary: Partially update a comment
+ *     description: Only the fields sent are validated and changed. Accepts plain JSON or a JSON Merge Patch (RFC 7386) document.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []  # Specify that this endpoint requires a bearer token
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The comment ID
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Comment'
+ *         application/merge-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/Comment'
+ *     responses:
+ *       200:
+ *         description: Comment updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CommentUpdateResult'
+ *       403:
+ *         description: Only the author or an admin can edit the comment
+ *       404:
+ *         description: Comment or task not found
+ *       412:
+ *         description: The comment has changed since the ETag in If-Match was read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PreconditionFailed'
+ *       400:
+ *         description: Invalid comment ID format, no updatable fields or the fields failed validation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+router.patch('/:id', validateBody('Comment', { partial: true }), async (req, res) => {
+    const changes = {};
+    UPDATABLE_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) {
+            changes[field] = req.body[field];
         }
+    });
 
-        res.status(200).json({ message: 'Comment updated successfully' });
-    } catch (error) {
-        console.error('Error updating comment:', error);
-        res.status(500).json({ message: 'Failed to update comment', error: error.message });
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ message: `Provide at least one of: ${UPDATABLE_FIELDS.join(', ')}` });
     }
+
+    await applyCommentUpdate(req, res, changes);
 });
 
 /**
  * @swagger
  * /comments/{id}:
  *   delete:
- *     summary: Delete a comment
+ *     summary: Move a comment to the trash
+ *     description: The comment is hidden from normal reads and can be restored from /trash until it is purged.
  *     tags: [Comments]
  *     security:
  *       - bearerAuth: []  # Specify that this endpoint requires a bearer token
@@ -229,7 +459,9 @@ router.put('/:id', async (req, res) => {
  *         description: The comment ID
  *     responses:
  *       200:
- *         description: Comment deleted successfully
+ *         description: Comment moved to trash
+ *       403:
+ *         description: Only the author or an admin can delete the comment
  *       404:
  *         description: Comment not found
  */
@@ -241,14 +473,34 @@ router.delete('/:id', async (req, res) => {
     }
 
     try {
-        const db = getDB();
-        const result = await db.collection('Comments').deleteOne({ _id: new ObjectId(commentId) });
+        const comment = await findVisibleComment(commentId, req.user);
 
-        if (result.deletedCount === 0) {
+        if (!comment) {
+            return res.status(404).json({ message: 'Comment not found' });
+        }
+
+        if (!canModifyComment(comment, req.user)) {
+            return res.status(403).json({ message: 'Only the comment author or an admin can delete this comment' });
+        }
+
+        const trashedComment = await softDelete('Comments', comment._id, req.user);
+
+        if (!trashedComment) {
             return res.status(404).json({ message: 'Comment not found' });
         }
 
-        res.status(200).json({ message: 'Comment deleted successfully' });
+        await relinkComment(comment._id, comment.taskId, null);
+        await recordActivity({
+            entityType: 'comment',
+            entityId: comment._id,
+            taskId: comment.taskId,
+            action: 'delete',
+            actor: req.user,
+            before: comment,
+            after: trashedComment,
+        });
+
+        res.status(200).json({ message: 'Comment moved to trash' });
     } catch (error) {
         console.error('Error deleting comment:', error);
         res.status(500).json({ message: 'Failed to delete comment', error: error.message });
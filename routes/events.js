@@ -0,0 +1,123 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const router = express.Router();
+const { findVisibleTask, canViewTask } = require('../mongodb/projects');
+const { findSessionUser } = require('../mongodb/tokens');
+const { subscribe } = require('../services/eventBus');
+
+// Comment lines keep idle connections from being closed by proxies
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Events
+ *   description: Real-time task and comment updates
+ */
+
+/**
+ * @swagger
+ * /events:
+ *   get:
+ *     summary: Stream task and comment changes as Server-Sent Events
+ *     description: >
+ *       Keeps the connection open and sends an event for every task or comment that is created,
+ *       updated, deleted, restored or purged, named after its type (for example `task.updated` or
+ *       `comment.created`). Only changes to tasks the caller can see are sent. Browsers using
+ *       EventSource may pass the access token as `access_token` instead of the Authorization
+ *       header. The stream ends when the access token expires, and within a heartbeat (25 seconds) of
+ *       logging out or changing the password; reconnect with a fresh token.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: query
+ *         name: taskId
+ *         schema:
+ *           type: string
+ *         description: Only send changes to this task and its comments
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: Access token, for clients that cannot set headers
+ *     responses:
+ *       200:
+ *         description: >
+ *           An event stream. Each event's data is a JSON object with `id`, `type`, `entityId`,
+ *           `taskId`, `actor`, `timestamp`, `changes`, `task` and, for comment events, `comment`.
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid task ID format
+ *       404:
+ *         description: Task not found
+ */
+router.get('/', async (req, res) => {
+    const { taskId } = req.query;
+
+    if (taskId !== undefined) {
+        if (!ObjectId.isValid(taskId)) {
+            return res.status(400).json({ message: 'Invalid task ID format' });
+        }
+
+        try {
+            if (!(await findVisibleTask(taskId, req.user))) {
+                return res.status(404).json({ message: 'Task not found' });
+            }
+        } catch (error) {
+            console.error('Error opening event stream:', error);
+            return res.status(500).json({ message: 'Failed to open event stream', error: error.message });
+        }
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+    });
+    res.write('retry: 5000\n\n');
+
+    const unsubscribe = subscribe(async (event) => {
+        if (taskId && event.taskId !== taskId) {
+            return;
+        }
+
+        try {
+            if (!event.task || !(await canViewTask(event.task, req.user))) {
+                return;
+            }
+            res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        } catch (error) {
+            console.error('Error sending event:', error);
+        }
+    });
+
+    // Logging out or changing the password ends the session while the stream is
+    // open, so the token is checked again with every heartbeat. Role changes are
+    // picked up the same way.
+    const heartbeat = setInterval(async () => {
+        try {
+            const account = await findSessionUser(req.user);
+            if (!account) {
+                return close();
+            }
+            req.user.role = account.role;
+        } catch (error) {
+            console.error('Error checking event stream session:', error);
+        }
+        res.write(': keep-alive\n\n');
+    }, HEARTBEAT_INTERVAL_MS);
+    const expiry = setTimeout(close, req.user.exp * 1000 - Date.now());
+
+    function close() {
+        unsubscribe();
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        res.end();
+    }
+
+    req.on('close', close);
+});
+
+module.exports = router;
@@ -0,0 +1,257 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const router = express.Router();
+const { getDB } = require('../mongodb/database');
+const {
+    NOTIFICATION_TYPES,
+    countUnread,
+    countUnreadByType,
+    markNotificationRead,
+    markAllNotificationsRead,
+} = require('../mongodb/notifications');
+const { paginate, parseLimit, decodeCursor } = require('../utils/pagination');
+
+const TYPE_VALUES = Object.values(NOTIFICATION_TYPES);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notifications
+ *   description: The caller's notification inbox
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         userId:
+ *           type: string
+ *           description: The user the notification is for
+ *         type:
+ *           type: string
+ *           enum: [due_soon, overdue, mention, comment]
+ *           description: >
+ *             due_soon reminders are sent at the configured lead times before a task is due, overdue once it
+ *             is past due. mention is sent to users mentioned as @username in a comment, comment to the
+ *             assignee and creator of a task that gets a new comment.
+ *         message:
+ *           type: string
+ *         taskId:
+ *           type: string
+ *           nullable: true
+ *         data:
+ *           type: object
+ *           description: Details that depend on the type, such as the task's due date
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /notifications:
+ *   get:
+ *     summary: List the caller's notifications, newest first
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only list notifications that have not been read
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [due_soon, overdue, mention, comment]
+ *         description: Only list notifications of this type
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: The nextCursor value from the previous page
+ *     responses:
+ *       200:
+ *         description: A page of notifications and the number of unread ones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *                 paging:
+ *                   $ref: '#/components/schemas/Paging'
+ *                 unreadCount:
+ *                   type: integer
+ *       400:
+ *         description: Invalid type or paging parameters
+ */
+router.get('/', async (req, res) => {
+    const { limit, error: limitError } = parseLimit(req.query.limit);
+    if (limitError) {
+        return res.status(400).json({ message: limitError });
+    }
+
+    let cursor = null;
+    if (req.query.cursor) {
+        cursor = decodeCursor(req.query.cursor);
+        if (!cursor) {
+            return res.status(400).json({ message: 'Invalid cursor' });
+        }
+    }
+
+    const { type } = req.query;
+    if (type !== undefined && !TYPE_VALUES.includes(type)) {
+        return res.status(400).json({ message: `type must be one of: ${TYPE_VALUES.join(', ')}` });
+    }
+
+    const filter = { userId: req.user.id };
+    if (req.query.unread === 'true') {
+        filter.readAt = null;
+    }
+    if (type) {
+        filter.type = type;
+    }
+
+    try {
+        const db = getDB();
+        const page = await paginate(
+            db.collection('Notifications'),
+            filter,
+            { sortField: 'createdAt', sortOrder: -1, limit, cursor }
+        );
+        res.status(200).json({ ...page, unreadCount: await countUnread(req.user.id) });
+    } catch (error) {
+        console.error('Error fetching notifications:', error);
+        res.status(500).json({ message: 'Failed to retrieve notifications', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /notifications/unread-count:
+ *   get:
+ *     summary: Count the caller's unread notifications
+ *     description: A cheap call for polling, e.g. to show a badge
+ *     tags: [Notifications]
+ *     responses:
+ *       200:
+ *         description: The number of unread notifications, in total and by type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 unreadCount:
+ *                   type: integer
+ *                 byType:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: integer
+ *                   example: { mention: 2, overdue: 1 }
+ */
+router.get('/unread-count', async (req, res) => {
+    try {
+        const byType = await countUnreadByType(req.user.id);
+        const unreadCount = Object.values(byType).reduce((total, count) => total + count, 0);
+        res.status(200).json({ unreadCount, byType });
+    } catch (error) {
+        console.error('Error counting unread notifications:', error);
+        res.status(500).json({ message: 'Failed to count unread notifications', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /notifications/read:
+ *   post:
+ *     summary: Mark all of the caller's notifications as read
+ *     tags: [Notifications]
+ *     responses:
+ *       200:
+ *         description: Number of notifications marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 markedRead:
+ *                   type: integer
+ */
+router.post('/read', async (req, res) => {
+    try {
+        const markedRead = await markAllNotificationsRead(req.user.id);
+        res.status(200).json({ message: 'Notifications marked as read', markedRead });
+    } catch (error) {
+        console.error('Error marking notifications as read:', error);
+        res.status(500).json({ message: 'Failed to mark notifications as read', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /notifications/{id}/read:
+ *   post:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The notification ID
+ *     responses:
+ *       200:
+ *         description: The notification, now marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Notification'
+ *       400:
+ *         description: Invalid notification ID format
+ *       404:
+ *         description: Notification not found
+ */
+router.post('/:id/read', async (req, res) => {
+    const notificationId = req.params.id;
+
+    if (!ObjectId.isValid(notificationId)) {
+        return res.status(400).json({ message: 'Invalid notification ID format' });
+    }
+
+    try {
+        const notification = await markNotificationRead(req.user.id, notificationId);
+
+        if (!notification) {
+            return res.status(404).json({ message: 'Notification not found' });
+        }
+        res.status(200).json(notification);
+    } catch (error) {
+        console.error('Error marking notification as read:', error);
+        res.status(500).json({ message: 'Failed to mark notification as read', error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,595 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const router = express.Router();
+const { getDB } = require('../mongodb/database');
+const { findUserById } = require('../mongodb/user');
+const { NOT_DELETED } = require('../mongodb/trash');
+const { PROJECT_ROLES, getMemberRole, hasProjectRole } = require('../mongodb/projects');
+const { paginate } = require('../utils/pagination');
+const { parseTaskListQuery } = require('../utils/taskFilters');
+const { hasRole } = require('../utils/permissions');
+const validateBody = require('../middleware/validate');
+
+// Look up a project the caller belongs to (admins see every project).
+// Sends the error response and returns null when it cannot be used.
+async function loadProject(req, res) {
+    const projectId = req.params.id;
+
+    if (!ObjectId.isValid(projectId)) {
+        res.status(400).json({ message: 'Invalid project ID format' });
+        return null;
+    }
+
+    const db = getDB();
+    const project = await db.collection('Projects').findOne({ _id: new ObjectId(projectId) });
+
+    if (!project || !(getMemberRole(project, req.user) || hasRole(req.user, 'admin'))) {
+        res.status(404).json({ message: 'Project not found' });
+        return null;
+    }
+    return project;
+}
+
+const countOwners = (members) => members.filter((member) => member.role === 'owner').length;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Projects
+ *   description: Projects group tasks and control who can see them
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProjectMember:
+ *       type: object
+ *       required:
+ *         - userId
+ *         - role
+ *       properties:
+ *         userId:
+ *           type: string
+ *           pattern: '^[0-9a-f]{24}$'
+ *           description: The ID of the member
+ *         role:
+ *           type: string
+ *           enum: [owner, editor, viewer]
+ *           description: Owners manage the project and its members, editors add and work on tasks, viewers read and comment
+ *     Project:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         id:
+ *           type: string
+ *           readOnly: true
+ *           description: The auto-generated ID of the project
+ *         name:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 100
+ *           description: Name of the project
+ *         description:
+ *           type: string
+ *           maxLength: 2000
+ *           description: Description of the project
+ *         members:
+ *           type: array
+ *           readOnly: true
+ *           items:
+ *             $ref: '#/components/schemas/ProjectMember'
+ *           description: Members and their roles, managed through the members endpoints
+ *         createdBy:
+ *           type: string
+ *           readOnly: true
+ *           description: The ID of the user who created the project
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ */
+
+/**
+ * @swagger
+ * /projects:
+ *   get:
+ *     summary: Retrieve the projects the caller belongs to
+ *     description: Admins see every project.
+ *     tags: [Projects]
+ *     responses:
+ *       200:
+ *         description: A list of projects
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Project'
+ */
+router.get('/', async (req, res) => {
+    try {
+        const db = getDB();
+        const filter = hasRole(req.user, 'admin') ? {} : { 'members.userId': req.user.id };
+        const projects = await db.collection('Projects').find(filter).sort({ name: 1 }).toArray();
+        res.status(200).json(projects);
+    } catch (error) {
+        console.error('Error fetching projects:', error);
+        res.status(500).json({ message: 'Failed to retrieve projects', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /projects:
+ *   post:
+ *     summary: Create a project
+ *     description: The caller becomes the project's first owner.
+ *     tags: [Projects]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Project'
+ *     responses:
+ *       201:
+ *         description: Project created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: The project failed validation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+router.post('/', validateBody('Project'), async (req, res) => {
+    const { name, description = '' } = req.body;
+
+    try {
+        const db = getDB();
+        const newProject = {
+            name,
+            description,
+            members: [{ userId: req.user.id, role: 'owner' }],
+            createdBy: req.user.id,
+            createdAt: new Date(),
+            updatedAt: new Date(),
+        };
+        const result = await db.collection('Projects').insertOne(newProject);
+        res.status(201).json({ _id: result.insertedId, ...newProject });
+    } catch (error) {
+        console.error('Error creating project:', error);
+        res.status(500).json({ message: 'Failed to create project', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /projects/{id}:
+ *   get:
+ *     summary: Get a project by ID
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The project ID
+ *     responses:
+ *       200:
+ *         description: Project found by ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Invalid project ID format
+ *       404:
+ *         description: Project not found or the caller is not a member
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const project = await loadProject(req, res);
+        if (project) {
+            res.status(200).json(project);
+        }
+    } catch (error) {
+        console.error('Error fetching project by ID:', error);
+        res.status(500).json({ message: 'Failed to retrieve project', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /projects/{id}:
+ *   patch:
+ *     summary: Rename or describe a project (project owners only)
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Project'
+ *     responses:
+ *       200:
+ *         description: Project updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Invalid project ID format or the fields failed validation
+ *       403:
+ *         description: Only project owners can change the project
+ *       404:
+ *         description: Project not found or the caller is not a member
+ */
+router.patch('/:id', validateBody('Project', { partial: true }), async (req, res) => {
+    const changes = {};
+    ['name', 'description'].forEach((field) => {
+        if (req.body[field] !== undefined) {
+            changes[field] = req.body[field];
+        }
+    });
+
+    try {
+        const project = await loadProject(req, res);
+        if (!project) return;
+
+        if (!hasProjectRole(project, req.user, 'owner')) {
+            return res.status(403).json({ message: 'Only project owners can change the project' });
+        }
+
+        const db = getDB();
+        const updatedProject = await db.collection('Projects').findOneAndUpdate(
+            { _id: project._id },
+            { $set: { ...changes, updatedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        res.status(200).json(updatedProject);
+    } catch (error) {
+        console.error('Error updating project:', error);
+        res.status(500).json({ message: 'Failed to update project', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /projects/{id}:
+ *   delete:
+ *     summary: Delete a project (project owners and admins only)
+ *     description: Projects that still hold tasks cannot be deleted.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The project ID
+ *     responses:
+ *       200:
+ *         description: Project deleted successfully
+ *       400:
+ *         description: Invalid project ID format
+ *       403:
+ *         description: Only project owners and admins can delete the project
+ *       404:
+ *         description: Project not found or the caller is not a member
+ *       409:
+ *         description: The project still has tasks
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const project = await loadProject(req, res);
+        if (!project) return;
+
+        if (!hasProjectRole(project, req.user, 'owner')) {
+            return res.status(403).json({ message: 'Only project owners and admins can delete the project' });
+        }
+
+        const db = getDB();
+        const taskCount = await db.collection('Tasks').countDocuments({ projectId: project._id });
+        if (taskCount > 0) {
+            return res.status(409).json({ message: 'Move or purge the project\'s tasks before deleting it', taskCount });
+        }
+
+        await db.collection('Projects').deleteOne({ _id: project._id });
+        res.status(200).json({ message: 'Project deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting project:', error);
+        res.status(500).json({ message: 'Failed to delete project', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /projects/{id}/members:
+ *   post:
+ *     summary: Add a member to a project (project owners only)
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProjectMember'
+ *     responses:
+ *       201:
+ *         description: Member added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Invalid project ID format or the member failed validation
+ *       403:
+ *         description: Only project owners can manage members
+ *       404:
+ *         description: Project or user not found
+ *       409:
+ *         description: The user is already a member
+ */
+router.post('/:id/members', validateBody('ProjectMember'), async (req, res) => {
+    const { userId, role } = req.body;
+
+    try {
+        const project = await loadProject(req, res);
+        if (!project) return;
+
+        if (!hasProjectRole(project, req.user, 'owner')) {
+            return res.status(403).json({ message: 'Only project owners can manage members' });
+        }
+
+        if (!(await findUserById(userId))) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (project.members.some((member) => member.userId === userId)) {
+            return res.status(409).json({ message: 'User is already a member of this project' });
+        }
+
+        const db = getDB();
+        const updatedProject = await db.collection('Projects').findOneAndUpdate(
+            { _id: project._id },
+            { $push: { members: { userId, role } }, $set: { updatedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        res.status(201).json(updatedProject);
+    } catch (error) {
+        console.error('Error adding project member:', error);
+        res.status(500).json({ message: 'Failed to add project member', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /projects/{id}/members/{userId}:
+ *   put:
+ *     summary: Change a member's project role (project owners only)
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The project ID
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The member's user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, editor, viewer]
+ *     responses:
+ *       200:
+ *         description: Member role updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Invalid project ID format or role
+ *       403:
+ *         description: Only project owners can manage members
+ *       404:
+ *         description: Project or member not found
+ *       409:
+ *         description: The project would be left without an owner
+ */
+router.put('/:id/members/:userId', async (req, res) => {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!PROJECT_ROLES.includes(role)) {
+        return res.status(400).json({ message: `Role must be one of: ${PROJECT_ROLES.join(', ')}` });
+    }
+
+    try {
+        const project = await loadProject(req, res);
+        if (!project) return;
+
+        if (!hasProjectRole(project, req.user, 'owner')) {
+            return res.status(403).json({ message: 'Only project owners can manage members' });
+        }
+
+        const member = project.members.find((m) => m.userId === userId);
+        if (!member) {
+            return res.status(404).json({ message: 'Member not found' });
+        }
+
+        if (member.role === 'owner' && role !== 'owner' && countOwners(project.members) === 1) {
+            return res.status(409).json({ message: 'A project needs at least one owner' });
+        }
+
+        const db = getDB();
+        const updatedProject = await db.collection('Projects').findOneAndUpdate(
+            { _id: project._id, 'members.userId': userId },
+            { $set: { 'members.$.role': role, updatedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        res.status(200).json(updatedProject);
+    } catch (error) {
+        console.error('Error updating project member:', error);
+        res.status(500).json({ message: 'Failed to update project member', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /projects/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member from a project
+ *     description: Project owners can remove anyone; members can remove themselves.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The project ID
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The member's user ID
+ *     responses:
+ *       200:
+ *         description: Member removed successfully
+ *       400:
+ *         description: Invalid project ID format
+ *       403:
+ *         description: Only project owners can remove other members
+ *       404:
+ *         description: Project or member not found
+ *       409:
+ *         description: The project would be left without an owner
+ */
+router.delete('/:id/members/:userId', async (req, res) => {
+    const { userId } = req.params;
+
+    try {
+        const project = await loadProject(req, res);
+        if (!project) return;
+
+        if (userId !== req.user.id && !hasProjectRole(project, req.user, 'owner')) {
+            return res.status(403).json({ message: 'Only project owners can remove other members' });
+        }
+
+        const member = project.members.find((m) => m.userId === userId);
+        if (!member) {
+            return res.status(404).json({ message: 'Member not found' });
+        }
+
+        if (member.role === 'owner' && countOwners(project.members) === 1) {
+            return res.status(409).json({ message: 'A project needs at least one owner' });
+        }
+
+        const db = getDB();
+        await db.collection('Projects').updateOne(
+            { _id: project._id },
+            { $pull: { members: { userId } }, $set: { updatedAt: new Date() } }
+        );
+        res.status(200).json({ message: 'Member removed successfully' });
+    } catch (error) {
+        console.error('Error removing project member:', error);
+        res.status(500).json({ message: 'Failed to remove project member', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /projects/{id}/tasks:
+ *   get:
+ *     summary: Retrieve a paginated list of the project's tasks
+ *     description: Accepts the same filter, sort and paging parameters as GET /tasks.
+ *     tags: [Projects, Tasks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The project ID
+ *     responses:
+ *       200:
+ *         description: A page of tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Task'
+ *                 paging:
+ *                   $ref: '#/components/schemas/Paging'
+ *       400:
+ *         description: Invalid project ID format or invalid filter, sort or paging parameters
+ *       404:
+ *         description: Project not found or the caller is not a member
+ */
+router.get('/:id/tasks', async (req, res) => {
+    const { filter, sortField, sortOrder, limit, cursor, error: queryError } = parseTaskListQuery(req.query);
+    if (queryError) {
+        return res.status(400).json({ message: queryError });
+    }
+
+    try {
+        const project = await loadProject(req, res);
+        if (!project) return;
+
+        const db = getDB();
+        const page = await paginate(
+            db.collection('Tasks'),
+            { ...filter, ...NOT_DELETED, projectId: project._id },
+            { sortField, sortOrder, limit, cursor }
+        );
+        res.status(200).json(page);
+    } catch (error) {
+        console.error('Error fetching project tasks:', error);
+        res.status(500).json({ message: 'Failed to retrieve project tasks', error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,384 @@
+const express = require('express');
+const router = express.Router();
+const { getDB } = require('../mongodb/database');
+const { NOT_DELETED } = require('../mongodb/trash');
+const { taskVisibilityFilter } = require('../mongodb/projects');
+const { buildTaskFilter, parseDate } = require('../utils/taskFilters');
+const { CLOSED_STATUSES } = require('../utils/workflow');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const TREND_INTERVALS = ['day', 'week', 'month'];
+const CYCLE_TIME_GROUPS = ['assignedTo', 'priority', 'createdBy', 'projectId'];
+
+// Tasks completed before completedAt was recorded fall back to their last update
+const COMPLETION_DATE = { $ifNull: ['$completedAt', '$updatedAt'] };
+
+// Parse the filters shared by every report: the task list filters (creator,
+// assignee, project, tags and so on) plus an optional from/to date range.
+// Reports only ever cover tasks the caller can see.
+async function parseReportQuery(query, user) {
+    const { filter, error } = buildTaskFilter(query);
+    if (error) return { error };
+
+    const range = {};
+    if (query.from) {
+        const { date, error: fromError } = parseDate(query.from, 'from');
+        if (fromError) return { error: fromError };
+        range.$gte = date;
+    }
+    if (query.to) {
+        const { date, error: toError } = parseDate(query.to, 'to');
+        if (toError) return { error: toError };
+        range.$lte = date;
+    }
+
+    const visibility = await taskVisibilityFilter(user);
+    return { match: { $and: [filter, NOT_DELETED, visibility] }, range };
+}
+
+const countBy = (field) => [
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $project: { _id: 0, value: '$_id', count: 1 } },
+];
+
+const toHours = (expression) => ({ $round: [{ $divide: [expression, HOUR_MS] }, 2] });
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reports
+ *   description: Task statistics over the tasks the caller can see
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ReportFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: Start of the date range
+ *     ReportTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: End of the date range
+ *     ReportCreatedBy:
+ *       in: query
+ *       name: createdBy
+ *       schema:
+ *         type: string
+ *       description: Only tasks created by these users (comma-separated). The other GET /tasks filters are accepted as well.
+ *   schemas:
+ *     CountByValue:
+ *       type: array
+ *       items:
+ *         type: object
+ *         properties:
+ *           value:
+ *             type: string
+ *             nullable: true
+ *           count:
+ *             type: integer
+ */
+
+/**
+ * @swagger
+ * /reports/summary:
+ *   get:
+ *     summary: Count tasks by status, priority, assignee and tag, and count overdue tasks
+ *     description: >
+ *       Overdue tasks are those past their due date that are neither completed nor cancelled.
+ *       The date range applies to when tasks were created.
+ *     tags: [Reports]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportCreatedBy'
+ *     responses:
+ *       200:
+ *         description: Task counts, largest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 byStatus:
+ *                   $ref: '#/components/schemas/CountByValue'
+ *                 byPriority:
+ *                   $ref: '#/components/schemas/CountByValue'
+ *                 byAssignee:
+ *                   $ref: '#/components/schemas/CountByValue'
+ *                 byTag:
+ *                   $ref: '#/components/schemas/CountByValue'
+ *                 overdue:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     byAssignee:
+ *                       $ref: '#/components/schemas/CountByValue'
+ *       400:
+ *         description: Invalid filter or date range
+ */
+router.get('/summary', async (req, res) => {
+    try {
+        const { match, range, error } = await parseReportQuery(req.query, req.user);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        if (Object.keys(range).length > 0) {
+            match.$and.push({ createdAt: range });
+        }
+
+        const db = getDB();
+        const overdue = { dueDate: { $lt: new Date() }, status: { $nin: CLOSED_STATUSES } };
+        const [result] = await db.collection('Tasks').aggregate([
+            { $match: match },
+            {
+                $facet: {
+                    total: [{ $count: 'count' }],
+                    byStatus: countBy('status'),
+                    byPriority: countBy('priority'),
+                    byAssignee: countBy('assignedTo'),
+                    byTag: [{ $unwind: '$tags' }, ...countBy('tags')],
+                    overdue: [{ $match: overdue }, ...countBy('assignedTo')],
+                },
+            },
+        ]).toArray();
+
+        res.status(200).json({
+            total: result.total.length > 0 ? result.total[0].count : 0,
+            byStatus: result.byStatus,
+            byPriority: result.byPriority,
+            byAssignee: result.byAssignee,
+            byTag: result.byTag,
+            overdue: {
+                total: result.overdue.reduce((sum, { count }) => sum + count, 0),
+                byAssignee: result.overdue,
+            },
+        });
+    } catch (error) {
+        console.error('Error building summary report:', error);
+        res.status(500).json({ message: 'Failed to build summary report', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /reports/completion-trend:
+ *   get:
+ *     summary: Count tasks created and completed in each day, week or month
+ *     description: The date range is the period covered and defaults to the last 30 days. Weeks start on Monday; all periods are in UTC.
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: week
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportCreatedBy'
+ *     responses:
+ *       200:
+ *         description: One entry per period that saw any activity, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 interval:
+ *                   type: string
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 periods:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       start:
+ *                         type: string
+ *                         format: date-time
+ *                       created:
+ *                         type: integer
+ *                       completed:
+ *                         type: integer
+ *       400:
+ *         description: Invalid interval, filter or date range
+ */
+router.get('/completion-trend', async (req, res) => {
+    const interval = req.query.interval || 'week';
+    if (!TREND_INTERVALS.includes(interval)) {
+        return res.status(400).json({ message: `interval must be one of: ${TREND_INTERVALS.join(', ')}` });
+    }
+
+    try {
+        const { match, range, error } = await parseReportQuery(req.query, req.user);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        const to = range.$lte || new Date();
+        const from = range.$gte || new Date(to.getTime() - 30 * DAY_MS);
+        const period = { $gte: from, $lte: to };
+        const bucket = (field) => ({
+            $group: {
+                _id: { $dateTrunc: { date: `$${field}`, unit: interval, startOfWeek: 'monday' } },
+                count: { $sum: 1 },
+            },
+        });
+
+        const db = getDB();
+        const [result] = await db.collection('Tasks').aggregate([
+            { $match: match },
+            {
+                $facet: {
+                    created: [{ $match: { createdAt: period } }, bucket('createdAt')],
+                    completed: [
+                        { $match: { status: 'completed' } },
+                        { $addFields: { completionDate: COMPLETION_DATE } },
+                        { $match: { completionDate: period } },
+                        bucket('completionDate'),
+                    ],
+                },
+            },
+        ]).toArray();
+
+        const periods = new Map();
+        const add = (kind) => ({ _id, count }) => {
+            const key = _id.toISOString();
+            const entry = periods.get(key) || { start: _id, created: 0, completed: 0 };
+            entry[kind] = count;
+            periods.set(key, entry);
+        };
+        result.created.forEach(add('created'));
+        result.completed.forEach(add('completed'));
+
+        res.status(200).json({
+            interval,
+            from,
+            to,
+            periods: [...periods.values()].sort((a, b) => a.start - b.start),
+        });
+    } catch (error) {
+        console.error('Error building completion trend report:', error);
+        res.status(500).json({ message: 'Failed to build completion trend report', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /reports/cycle-time:
+ *   get:
+ *     summary: Average time completed tasks took
+ *     description: >
+ *       Reports the average hours from creation to completion and, for tasks that went through
+ *       in-progress, from first starting work to completion. The date range applies to when tasks were completed.
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [assignedTo, priority, createdBy, projectId]
+ *         description: Report each value separately instead of one overall figure
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportCreatedBy'
+ *     responses:
+ *       200:
+ *         description: Averages per group, or a single group with value null when not grouped
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 groupBy:
+ *                   type: string
+ *                   nullable: true
+ *                 groups:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       value:
+ *                         nullable: true
+ *                       completed:
+ *                         type: integer
+ *                       averageHoursToComplete:
+ *                         type: number
+ *                       averageHoursInProgress:
+ *                         type: number
+ *                         nullable: true
+ *       400:
+ *         description: Invalid groupBy, filter or date range
+ */
+router.get('/cycle-time', async (req, res) => {
+    const groupBy = req.query.groupBy || null;
+    if (groupBy && !CYCLE_TIME_GROUPS.includes(groupBy)) {
+        return res.status(400).json({ message: `groupBy must be one of: ${CYCLE_TIME_GROUPS.join(', ')}` });
+    }
+
+    try {
+        const { match, range, error } = await parseReportQuery(req.query, req.user);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const pipeline = [
+            { $match: { ...match, status: 'completed' } },
+            { $addFields: { completionDate: COMPLETION_DATE } },
+        ];
+        if (Object.keys(range).length > 0) {
+            pipeline.push({ $match: { completionDate: range } });
+        }
+        pipeline.push(
+            {
+                $group: {
+                    _id: groupBy ? `$${groupBy}` : null,
+                    completed: { $sum: 1 },
+                    toComplete: { $avg: { $subtract: ['$completionDate', '$createdAt'] } },
+                    // $avg skips the nulls of tasks that never went through in-progress
+                    inProgress: {
+                        $avg: {
+                            $cond: [{ $ifNull: ['$startedAt', false] }, { $subtract: ['$completionDate', '$startedAt'] }, null],
+                        },
+                    },
+                },
+            },
+            { $sort: { completed: -1, _id: 1 } },
+            {
+                $project: {
+                    _id: 0,
+                    value: '$_id',
+                    completed: 1,
+                    averageHoursToComplete: toHours('$toComplete'),
+                    averageHoursInProgress: { $cond: [{ $eq: ['$inProgress', null] }, null, toHours('$inProgress')] },
+                },
+            }
+        );
+
+        const db = getDB();
+        const groups = await db.collection('Tasks').aggregate(pipeline).toArray();
+        res.status(200).json({ groupBy, groups });
+    } catch (error) {
+        console.error('Error building cycle time report:', error);
+        res.status(500).json({ message: 'Failed to build cycle time report', error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,229 @@
+const express = require('express');
+const router = express.Router();
+const { getDB } = require('../mongodb/database');
+const { NOT_DELETED } = require('../mongodb/trash');
+const { taskVisibilityFilter, findVisibleTaskIds } = require('../mongodb/projects');
+const { parseLimit } = require('../utils/pagination');
+const { buildTaskFilter } = require('../utils/taskFilters');
+
+// Text search results are ranked by relevance rather than by an indexed field,
+// so they are paged by offset instead of with the cursors GET /tasks uses
+async function searchTasks(db, search, filter, user, { skip, limit }) {
+    const visibility = await taskVisibilityFilter(user);
+    const query = { $text: { $search: search }, $and: [filter, NOT_DELETED, visibility] };
+    const [data, totalCount] = await Promise.all([
+        db.collection('Tasks')
+            .find(query, { projection: { score: { $meta: 'textScore' } } })
+            .sort({ score: { $meta: 'textScore' }, _id: 1 })
+            .skip(skip)
+            .limit(limit)
+            .toArray(),
+        db.collection('Tasks').countDocuments(query),
+    ]);
+    return { data, totalCount };
+}
+
+// Comments only match the task filters through the task they belong to
+async function searchComments(db, search, filter, user, { skip, limit }) {
+    const match = { $text: { $search: search }, ...NOT_DELETED };
+    const taskIds = await findVisibleTaskIds(user);
+    if (taskIds) {
+        match.taskId = { $in: taskIds };
+    }
+
+    const pipeline = [
+        { $match: match },
+        { $addFields: { score: { $meta: 'textScore' } } },
+    ];
+
+    if (Object.keys(filter).length > 0) {
+        const taskFilter = { 'task.deletedAt': null };
+        Object.entries(filter).forEach(([field, condition]) => {
+            taskFilter[`task.${field}`] = condition;
+        });
+        pipeline.push(
+            { $lookup: { from: 'Tasks', localField: 'taskId', foreignField: '_id', as: 'task' } },
+            { $unwind: '$task' },
+            { $match: taskFilter },
+            { $project: { task: 0 } }
+        );
+    }
+
+    pipeline.push(
+        { $sort: { score: -1, _id: 1 } },
+        { $facet: { data: [{ $skip: skip }, { $limit: limit }], total: [{ $count: 'count' }] } }
+    );
+
+    const [result] = await db.collection('Comments').aggregate(pipeline).toArray();
+    return { data: result.data, totalCount: result.total.length > 0 ? result.total[0].count : 0 };
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: Search
+ *   description: Full-text search across tasks and comments
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SearchPaging:
+ *       type: object
+ *       properties:
+ *         page:
+ *           type: integer
+ *         limit:
+ *           type: integer
+ *         totalCount:
+ *           type: integer
+ *         hasMore:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /search:
+ *   get:
+ *     summary: Search tasks and comments
+ *     description: >
+ *       Matches task titles, descriptions and tags and comment content, ranked by relevance
+ *       (each result carries its `score`). The task filters of GET /tasks narrow both tasks
+ *       and, through their task, comments. Only tasks the caller can see, and comments on them, are returned.
+ *     tags: [Search]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Search terms. Use quotes for phrases and a leading - to exclude a word.
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [tasks, comments]
+ *         description: Only search one kind of record
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: createdBy
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dueAfter
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: dueBefore
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Ranked matches
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tasks:
+ *                   type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Task'
+ *                     paging:
+ *                       $ref: '#/components/schemas/SearchPaging'
+ *                 comments:
+ *                   type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Comment'
+ *                     paging:
+ *                       $ref: '#/components/schemas/SearchPaging'
+ *       400:
+ *         description: Missing query or invalid filter or paging parameters
+ */
+router.get('/', async (req, res) => {
+    const search = String(req.query.q || '').trim();
+    const { type } = req.query;
+
+    if (!search) {
+        return res.status(400).json({ message: 'Search query q is required' });
+    }
+
+    if (type && type !== 'tasks' && type !== 'comments') {
+        return res.status(400).json({ message: 'type must be either tasks or comments' });
+    }
+
+    const { filter, error: filterError } = buildTaskFilter(req.query);
+    if (filterError) {
+        return res.status(400).json({ message: filterError });
+    }
+
+    const { limit, error: limitError } = parseLimit(req.query.limit);
+    if (limitError) {
+        return res.status(400).json({ message: limitError });
+    }
+
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    if (!Number.isInteger(page) || page < 1) {
+        return res.status(400).json({ message: 'page must be a positive integer' });
+    }
+
+    const window = { skip: (page - 1) * limit, limit };
+    const withPaging = ({ data, totalCount }) => ({
+        data,
+        paging: { page, limit, totalCount, hasMore: page * limit < totalCount },
+    });
+
+    try {
+        const db = getDB();
+        const results = {};
+        if (type !== 'comments') {
+            results.tasks = withPaging(await searchTasks(db, search, filter, req.user, window));
+        }
+        if (type !== 'tasks') {
+            results.comments = withPaging(await searchComments(db, search, filter, req.user, window));
+        }
+        res.status(200).json(results);
+    } catch (error) {
+        console.error('Error searching:', error);
+        res.status(500).json({ message: 'Failed to search', error: error.message });
+    }
+});
+
+module.exports = router;
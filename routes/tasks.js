@@ -1,102 +1,1783 @@
 const express = require('express');
 const { ObjectId } = require('mongodb');
 const router = express.Router();
-const { getDB } = require('../mongodb/database');
+const { getDB, startSession } = require('../mongodb/database');
+const { createComment, findCommentsForTask, trashCommentsForTask } = require('../mongodb/comments');
+const { findTaskHistory } = require('../mongodb/audit');
+const { recordActivity } = require('../services/activity');
+const { publish } = require('../services/eventBus');
+const { NOT_DELETED, softDelete } = require('../mongodb/trash');
+const { findProjectById, hasProjectRole, taskVisibilityFilter, findVisibleTask } = require('../mongodb/projects');
+const { paginate } = require('../utils/pagination');
+const { buildTaskFilter, parseTaskSort, parseTaskListQuery } = require('../utils/taskFilters');
+const { toCsv, parseCsv } = require('../utils/csv');
+const { tasksToICalendar } = require('../utils/ical');
+const { versionOf, entityTag, ifMatchSatisfied, ifNoneMatchSatisfied, versionFilter } = require('../utils/etag');
+const { normalizeRecurrence, nextOccurrence } = require('../utils/recurrence');
+const { TRANSITIONS, allowedTransitions, canTransition } = require('../utils/workflow');
+const {
+    wouldCreateParentCycle,
+    wouldCreateDependencyCycle,
+    findOpenSubtasks,
+    findSubtaskTree,
+    findDependencyChain,
+} = require('../mongodb/taskLinks');
+const { hasRole, checkTaskUpdate, canDeleteTask } = require('../utils/permissions');
+const { findUserById, findUserSummaries } = require('../mongodb/user');
+const { validateSchema } = require('../utils/schemaValidator');
+const validateBody = require('../middleware/validate');
+const swaggerDocs = require('../swagger');
+
+// Fields clients may change through PUT and PATCH
+const UPDATABLE_FIELDS = [
+    'title', 'description', 'status', 'assignedTo', 'dueDate', 'priority', 'tags', 'projectId', 'recurrence', 'parentId', 'blockedBy',
+];
+
+// Largest number of operations accepted by POST /tasks/bulk, and of tasks one
+// update-by-filter operation may change
+const MAX_BULK_OPERATIONS = 100;
+const MAX_BULK_FILTER_MATCHES = 500;
+
+const EXPORT_FORMATS = ['csv', 'json', 'ics'];
+const MAX_EXPORT_TASKS = 10000;
+const MAX_IMPORT_TASKS = 1000;
+
+// Columns of CSV exports. Imports read the ones clients can set and ignore the rest.
+const CSV_COLUMNS = [
+    'id', 'title', 'description', 'status', 'assignedTo', 'dueDate', 'priority', 'tags', 'projectId', 'parentId',
+    'blockedBy', 'createdBy', 'createdAt', 'updatedAt', 'completedAt',
+];
+const CSV_IMPORT_FIELDS = [
+    'title', 'description', 'status', 'assignedTo', 'dueDate', 'priority', 'tags', 'projectId', 'parentId', 'blockedBy',
+];
+// List fields are written to a single CSV cell separated by semicolons
+const CSV_LIST_FIELDS = ['tags', 'blockedBy'];
+
+// The create, update and delete helpers below are shared by the single-task
+// routes and POST /tasks/bulk. They take an optional { session, pendingEvents }
+// so bulk requests can run them inside a transaction (see recordActivity), and
+// return { error: { status, message } } instead of responding themselves.
+
+// Tasks can only be filed under a project by its owners and editors.
+// Returns { status, message } describing why not, or null when allowed.
+async function checkProjectAccess(projectId, user) {
+    const project = await findProjectById(projectId);
+    if (!project) {
+        return { status: 404, message: 'Project not found' };
+    }
+    if (!hasProjectRole(project, user, 'owner', 'editor')) {
+        return { status: 403, message: 'Only project owners and editors can add tasks to this project' };
+    }
+    return null;
+}
+
+// Tasks can only be assigned to registered users. Returns { status, message }
+// when assignedTo is not the ID of one, otherwise null.
+async function checkAssignee(assignedTo) {
+    if (!ObjectId.isValid(assignedTo) || !(await findUserById(assignedTo))) {
+        return { status: 404, message: 'Assigned user not found' };
+    }
+    return null;
+}
+
+// User references that ?include= can expand into user summaries
+const USER_REFERENCES = [
+    { name: 'assignee', field: 'assignedTo' },
+    { name: 'creator', field: 'createdBy' },
+];
+
+// Add the summaries of the users a task refers to, for the references listed in `include`
+async function includeUserSummaries(tasks, include) {
+    const references = USER_REFERENCES.filter(({ name }) => include.includes(name));
+    if (references.length === 0) {
+        return;
+    }
+
+    const summaries = await findUserSummaries(tasks.flatMap((task) => references.map(({ field }) => task[field])));
+    tasks.forEach((task) => {
+        references.forEach(({ name, field }) => {
+            task[name] = summaries.get(String(task[field])) || null;
+        });
+    });
+}
+
+// Stored form of the parentId and blockedBy fields of a request body
+const toParentId = (parentId) => (parentId ? new ObjectId(parentId) : null);
+const toBlockedBy = (blockedBy) => [...new Set(blockedBy)].map((id) => new ObjectId(id));
+
+// Check that a task's parent and the tasks blocking it exist and are visible,
+// and that neither link creates a cycle. taskId is null for a task being created.
+// Returns { status, message } when the links cannot be used, otherwise null.
+async function checkTaskLinks(taskId, { parentId, blockedBy }, user, { session } = {}) {
+    if (parentId) {
+        if (!(await findVisibleTask(parentId, user, { session }))) {
+            return { status: 404, message: 'Parent task not found' };
+        }
+        if (taskId && (await wouldCreateParentCycle(taskId, parentId, { session }))) {
+            return { status: 409, message: 'A task cannot be a subtask of itself or of its own subtasks' };
+        }
+    }
+
+    if (blockedBy && blockedBy.length > 0) {
+        for (const blockerId of blockedBy) {
+            if (!(await findVisibleTask(blockerId, user, { session }))) {
+                return { status: 404, message: `Blocking task ${blockerId} not found` };
+            }
+        }
+        if (taskId && (await wouldCreateDependencyCycle(taskId, blockedBy, { session }))) {
+            return { status: 409, message: 'These dependencies would make the task wait for itself' };
+        }
+    }
+    return null;
+}
+
+// Timestamps kept whenever a task enters a status, so cycle times can be
+// worked out: when it last changed status, first started and was completed
+function statusFields(task, status, at) {
+    const fields = { statusChangedAt: at, completedAt: status === 'completed' ? at : null };
+    if (status === 'in-progress' && !(task && task.startedAt)) {
+        fields.startedAt = at;
+    }
+    return fields;
+}
+
+// Fields of a new task in the given status, including the first status history entry
+function initialStatusFields(status, user, at) {
+    return {
+        ...statusFields(null, status, at),
+        statusHistory: [{ status, at, by: user.id }],
+    };
+}
+
+// Turn the fields of a validated partial Task body into the changes to $set.
+// Returns { changes } or { error }.
+function buildTaskChanges(body) {
+    const changes = {};
+    UPDATABLE_FIELDS.forEach((field) => {
+        if (body[field] !== undefined) {
+            changes[field] = body[field];
+        }
+    });
+    if (changes.dueDate) {
+        changes.dueDate = new Date(changes.dueDate);
+    }
+    if (changes.projectId) {
+        changes.projectId = new ObjectId(changes.projectId);
+    }
+    if (changes.parentId !== undefined) {
+        changes.parentId = toParentId(changes.parentId);
+    }
+    if (changes.blockedBy !== undefined) {
+        changes.blockedBy = toBlockedBy(changes.blockedBy);
+    }
+    if (changes.recurrence !== undefined) {
+        const { recurrence, error } = normalizeRecurrence(changes.recurrence);
+        if (error) {
+            return { error };
+        }
+        changes.recurrence = recurrence;
+    }
+
+    if (Object.keys(changes).length === 0) {
+        return { error: `Provide at least one of: ${UPDATABLE_FIELDS.join(', ')}` };
+    }
+    return { changes };
+}
+
+// Create the next occurrence of a recurring task that has just been completed.
+// Returns { nextTask, task } with the completed task as updated by the link to
+// its next occurrence, or null when the series has ended or the next occurrence
+// already exists because the task was completed before.
+async function spawnNextOccurrence(task, user, options = {}) {
+    const next = nextOccurrence(task);
+    if (!next || task.nextOccurrenceId) {
+        return null;
+    }
+
+    const db = getDB();
+    const seriesId = task.seriesId || task._id;
+    const nextTaskId = new ObjectId();
+
+    // Claim the spawn on the completed task first so concurrent completions create one occurrence
+    const claimedTask = await db.collection('Tasks').findOneAndUpdate(
+        { _id: task._id, nextOccurrenceId: null },
+        { $set: { nextOccurrenceId: nextTaskId, seriesId }, $inc: { version: 1 } },
+        { returnDocument: 'after', session: options.session }
+    );
+    if (!claimedTask) {
+        return null;
+    }
+
+    const nextTask = {
+        _id: nextTaskId,
+        title: task.title,
+        description: task.description,
+        status: 'pending',
+        ...initialStatusFields('pending', user, new Date()),
+        assignedTo: task.assignedTo,
+        dueDate: next.dueDate,
+        priority: task.priority,
+        tags: task.tags || [],
+        comments: [],
+        projectId: task.projectId || null,
+        parentId: task.parentId || null,
+        blockedBy: [],
+        recurrence: next.recurrence,
+        seriesId,
+        occurrence: (task.occurrence || 1) + 1,
+        createdBy: task.createdBy,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        version: 1,
+    };
+    await db.collection('Tasks').insertOne(nextTask, { session: options.session });
+    await recordActivity({
+        entityType: 'task',
+        entityId: nextTaskId,
+        taskId: nextTaskId,
+        action: 'create',
+        actor: user,
+        after: nextTask,
+    }, options);
+    return { nextTask, task: claimedTask };
+}
+
+// Create a task from a body that passed validation against the Task schema.
+// Returns { task } or { error }.
+async function createTask(body, user, options = {}) {
+    const { title, description, status, assignedTo, dueDate, priority, tags = [], projectId = null } = body;
+    const parentId = toParentId(body.parentId);
+    const blockedBy = toBlockedBy(body.blockedBy || []);
+
+    const { recurrence, error: recurrenceError } = normalizeRecurrence(body.recurrence);
+    if (recurrenceError) {
+        return { error: { status: 400, message: recurrenceError } };
+    }
+
+    if (projectId) {
+        const projectError = await checkProjectAccess(projectId, user);
+        if (projectError) {
+            return { error: projectError };
+        }
+    }
+
+    const assigneeError = await checkAssignee(assignedTo);
+    if (assigneeError) {
+        return { error: assigneeError };
+    }
+
+    const linkError = await checkTaskLinks(null, { parentId, blockedBy }, user, options);
+    if (linkError) {
+        return { error: linkError };
+    }
+
+    const db = getDB();
+    const newTask = {
+        title,
+        description,
+        status,
+        ...initialStatusFields(status, user, new Date()),
+        assignedTo,
+        dueDate: new Date(dueDate),
+        priority,
+        tags,
+        comments: [],
+        projectId: projectId ? new ObjectId(projectId) : null,
+        parentId,
+        blockedBy,
+        recurrence,
+        createdBy: user.id,
+        createdAt: new Date(),
+        updatedAt: new Date(), // Set the initial updatedAt to now
+        version: 1,
+    };
+    const result = await db.collection('Tasks').insertOne(newTask, { session: options.session });
+    await recordActivity({
+        entityType: 'task',
+        entityId: result.insertedId,
+        taskId: result.insertedId,
+        action: 'create',
+        actor: user,
+        after: newTask,
+    }, options);
+    return { task: { _id: result.insertedId, ...newTask } };
+}
+
+function staleTaskError(task) {
+    return {
+        status: 412,
+        message: 'The task has changed since you last read it; fetch it again and reapply your changes',
+        etag: entityTag(task),
+    };
+}
+
+// Look a task up, check the user may make the change and apply it. `changes`
+// is either the fields to $set, or a function of the current task returning
+// { changes, update } for updates that need another operator. With `force`,
+// a parent is completed even though some of its subtasks are unfinished. With
+// `ifMatch` (an If-Match header), the update only goes ahead while the task
+// still has one of the listed entity tags.
+// Returns { task, nextTask } (nextTask when a recurring task spawned its next
+// occurrence) or { error }.
+async function updateTask(taskId, changes, user, { force = false, ifMatch, ...options } = {}) {
+    if (!ObjectId.isValid(taskId)) {
+        return { error: { status: 400, message: 'Invalid task ID format' } };
+    }
+
+    const db = getDB();
+    const task = await findVisibleTask(taskId, user, options);
+
+    if (!task) {
+        return { error: { status: 404, message: 'Task not found' } };
+    }
+
+    if (ifMatch !== undefined && !ifMatchSatisfied(ifMatch, task)) {
+        return { error: staleTaskError(task) };
+    }
+
+    const { changes: newValues, update } = typeof changes === 'function'
+        ? changes(task)
+        : { changes, update: { $set: changes } };
+
+    const permissionError = checkTaskUpdate(task, newValues, user);
+    if (permissionError) {
+        return { error: { status: 403, message: permissionError } };
+    }
+
+    const statusChanged = newValues.status !== undefined && newValues.status !== task.status;
+    if (statusChanged && !canTransition(task.status, newValues.status)) {
+        return {
+            error: {
+                status: 409,
+                message: `A task cannot move from ${task.status} to ${newValues.status}`,
+                allowedStatuses: allowedTransitions(task.status),
+            },
+        };
+    }
+
+    // A parent is only completed once its subtasks are finished, unless the
+    // caller forces it, in which case the unfinished ones are recorded
+    const completing = statusChanged && newValues.status === 'completed';
+    const openSubtasks = completing ? await findOpenSubtasks(task._id, options) : [];
+    if (openSubtasks.length > 0 && !force) {
+        return {
+            error: {
+                status: 409,
+                message: 'Finish or cancel the subtasks first, or pass force=true to complete the task anyway',
+                openSubtasks: openSubtasks.map(({ _id, title, status }) => ({ _id, title, status })),
+            },
+        };
+    }
+
+    if (newValues.assignedTo !== undefined && newValues.assignedTo !== task.assignedTo) {
+        const assigneeError = await checkAssignee(newValues.assignedTo);
+        if (assigneeError) {
+            return { error: assigneeError };
+        }
+    }
+
+    if (newValues.parentId !== undefined || newValues.blockedBy !== undefined) {
+        const linkError = await checkTaskLinks(task._id, newValues, user, options);
+        if (linkError) {
+            return { error: linkError };
+        }
+    }
+
+    // Moving the task into another project needs access to that project
+    if (newValues.projectId && String(newValues.projectId) !== String(task.projectId)) {
+        const projectError = await checkProjectAccess(newValues.projectId, user);
+        if (projectError) {
+            return { error: projectError };
+        }
+    }
+
+    const now = new Date();
+    const finalUpdate = { ...update, $set: { ...update.$set, updatedAt: now }, $inc: { version: 1 } };
+    if (statusChanged) {
+        Object.assign(finalUpdate.$set, statusFields(task, newValues.status, now));
+        finalUpdate.$push = { statusHistory: { status: newValues.status, at: now, by: user.id } };
+    }
+    if (openSubtasks.length > 0) {
+        finalUpdate.$set.openSubtasksAtCompletion = openSubtasks.map((subtask) => subtask._id);
+    } else if (completing && task.openSubtasksAtCompletion) {
+        finalUpdate.$unset = { openSubtasksAtCompletion: '' };
+    }
+
+    // With If-Match, a write that landed since the task was read makes this one fail
+    const updatedTask = await db.collection('Tasks').findOneAndUpdate(
+        ifMatch !== undefined ? { _id: task._id, ...versionFilter(versionOf(task)) } : { _id: task._id },
+        finalUpdate,
+        { returnDocument: 'after', session: options.session }
+    );
+
+    if (!updatedTask) {
+        const currentTask = ifMatch !== undefined && await findVisibleTask(task._id, user, options);
+        return { error: currentTask ? staleTaskError(currentTask) : { status: 404, message: 'Task not found' } };
+    }
+
+    await recordActivity({
+        entityType: 'task',
+        entityId: task._id,
+        taskId: task._id,
+        action: 'update',
+        actor: user,
+        before: task,
+        after: updatedTask,
+    }, options);
+
+    if (task.status !== 'completed' && updatedTask.status === 'completed') {
+        const spawned = await spawnNextOccurrence(updatedTask, user, options);
+        if (spawned) {
+            return spawned;
+        }
+    }
+    return { task: updatedTask, nextTask: null };
+}
+
+// Move a task and its comments to the trash. Returns { task, deletedComments } or { error }.
+async function deleteTask(taskId, user, options = {}) {
+    if (!ObjectId.isValid(taskId)) {
+        return { error: { status: 400, message: 'Invalid task ID format' } };
+    }
+
+    const task = await findVisibleTask(taskId, user, options);
+
+    if (!task) {
+        return { error: { status: 404, message: 'Task not found' } };
+    }
+
+    if (!canDeleteTask(task, user)) {
+        return { error: { status: 403, message: 'Only the task owner or an admin can delete this task' } };
+    }
+
+    const trashedTask = await softDelete('Tasks', task._id, user, {}, options);
+
+    if (!trashedTask) {
+        return { error: { status: 404, message: 'Task not found' } };
+    }
+
+    const deletedComments = await trashCommentsForTask(task._id, user, trashedTask.deletedAt, options);
+
+    await recordActivity({
+        entityType: 'task',
+        entityId: task._id,
+        taskId: task._id,
+        action: 'delete',
+        actor: user,
+        before: task,
+        after: trashedTask,
+    }, options);
+    for (const comment of deletedComments) {
+        await recordActivity({
+            entityType: 'comment',
+            entityId: comment._id,
+            taskId: task._id,
+            action: 'delete',
+            task: trashedTask,
+            actor: user,
+            before: comment,
+            after: { ...comment, deletedAt: trashedTask.deletedAt, deletedBy: user.id, deletedWithTask: true },
+        }, options);
+    }
+
+    return { task: trashedTask, deletedComments };
+}
+
+// Send the { status, message, ... } of a failed helper call as the response
+function sendError(res, { status, ...body }) {
+    res.status(status).json(body);
+}
+
+// Shared by every route that modifies a single task: applies the change with
+// updateTask and responds with the result
+async function applyTaskUpdate(req, res, changes) {
+    try {
+        const { task, nextTask, error } = await updateTask(req.params.id, changes, req.user, {
+            force: req.query.force === 'true',
+            ifMatch: req.get('If-Match'),
+        });
+        if (error) {
+            return sendError(res, error);
+        }
+
+        const result = { message: 'Task updated successfully', task };
+        if (nextTask) {
+            result.nextTask = nextTask;
+        }
+        res.set('ETag', entityTag(task)).status(200).json(result);
+    } catch (error) {
+        console.error('Error updating task:', error);
+        res.status(500).json({ message: 'Failed to update task', error: error.message });
+    }
+}
+
+// Apply the same changes to every visible task matching a GET /tasks style
+// filter, reporting the outcome for each task
+async function updateTasksMatching(query, changes, user, options) {
+    const { filter, error } = buildTaskFilter(query);
+    if (error) {
+        return { status: 400, message: error };
+    }
+
+    const db = getDB();
+    const visibility = await taskVisibilityFilter(user);
+    const ids = await db.collection('Tasks')
+        .find({ $and: [filter, NOT_DELETED, visibility] }, { projection: { _id: 1 }, session: options.session })
+        .limit(MAX_BULK_FILTER_MATCHES + 1)
+        .map((task) => task._id)
+        .toArray();
+    if (ids.length > MAX_BULK_FILTER_MATCHES) {
+        return { status: 400, message: `The filter matches more than ${MAX_BULK_FILTER_MATCHES} tasks; narrow it down` };
+    }
+
+    const updated = [];
+    const failures = [];
+    for (const id of ids) {
+        const result = await updateTask(id.toString(), changes, user, options);
+        if (result.error) {
+            failures.push({ id, ...result.error });
+        } else {
+            updated.push(id);
+        }
+    }
+
+    return failures.length > 0
+        ? { status: 409, message: `${failures.length} of ${ids.length} matching tasks could not be updated`, updated, failures }
+        : { status: 200, matched: ids.length, updated };
+}
+
+// Run one operation of a bulk request. Returns { status, ... } with a 2xx
+// status on success and the same errors the single-task routes give otherwise.
+async function runBulkOperation(operation, user, options) {
+    const schemas = swaggerDocs.components.schemas;
+
+    if (operation.op === 'create') {
+        const errors = validateSchema(schemas.Task, operation.task, schemas);
+        if (errors.length > 0) {
+            return { status: 400, message: 'Validation failed', errors };
+        }
+        const { task, error } = await createTask(operation.task, user, options);
+        return error || { status: 201, id: task._id };
+    }
+
+    if (operation.op === 'delete') {
+        const { task, deletedComments, error } = await deleteTask(operation.id, user, options);
+        return error || { status: 200, id: task._id, deletedComments: deletedComments.length };
+    }
+
+    const errors = validateSchema(schemas.Task, operation.changes, schemas, { partial: true });
+    if (errors.length > 0) {
+        return { status: 400, message: 'Validation failed', errors };
+    }
+    const { changes, error: changesError } = buildTaskChanges(operation.changes);
+    if (changesError) {
+        return { status: 400, message: changesError };
+    }
+
+    const updateOptions = { ...options, force: operation.force === true };
+    if (operation.filter) {
+        return await updateTasksMatching(operation.filter, changes, user, updateOptions);
+    }
+    const { task, nextTask, error } = await updateTask(operation.id, changes, user, updateOptions);
+    if (error) {
+        return error;
+    }
+    return nextTask ? { status: 200, id: task._id, nextTaskId: nextTask._id } : { status: 200, id: task._id };
+}
+
+function taskToCsvRow(task) {
+    return Object.fromEntries(CSV_COLUMNS.map((column) => {
+        const value = column === 'id' ? task._id : task[column];
+        if (value instanceof Date) return [column, value.toISOString()];
+        if (Array.isArray(value)) return [column, value.join(';')];
+        return [column, value];
+    }));
+}
+
+// Turn a CSV record into a Task body. Empty cells count as missing.
+function csvRecordToTask(record) {
+    const task = {};
+    CSV_IMPORT_FIELDS.forEach((field) => {
+        const value = record[field];
+        if (value === undefined || value.trim() === '') {
+            return;
+        }
+        task[field] = CSV_LIST_FIELDS.includes(field)
+            ? value.split(';').map((item) => item.trim()).filter(Boolean)
+            : value;
+    });
+    return task;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Task:
+ *       type: object
+ *       required:
+ *         - title
+ *         - description
+ *         - status
+ *         - assignedTo
+ *         - dueDate
+ *         - priority
+ *       properties:
+ *         id:
+ *           type: string
+ *           readOnly: true
+ *           description: The auto-generated ID of the task
+ *         title:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 200
+ *           description: Title of the task
+ *         description:
+ *           type: string
+ *           minLength: 1
+ *           description: Description of the task
+ *         status:
+ *           type: string
+ *           enum: [pending, in-progress, blocked, in-review, completed, cancelled]
+ *           description: Status of the task. Changes must follow the workflow listed by GET /tasks/workflow.
+ *         assignedTo:
+ *           type: string
+ *           pattern: '^[0-9a-f]{24}$'
+ *           description: The ID of the user assigned to the task
+ *         dueDate:
+ *           type: string
+ *           format: date-time
+ *           description: Due date of the task
+ *         priority:
+ *           type: string
+ *           enum: [low, medium, high]
+ *           description: Priority of the task
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *             minLength: 1
+ *             maxLength: 50
+ *           description: Tags associated with the task
+ *         comments:
+ *           type: array
+ *           readOnly: true
+ *           items:
+ *             type: string
+ *           description: IDs of the task's comments, maintained by the comment endpoints. With include=comments the comments themselves are embedded.
+ *         overdue:
+ *           type: boolean
+ *           readOnly: true
+ *           description: >
+ *             Set by the background scheduler once the due date has passed without the task being completed.
+ *             Setting it does not change the task's version or ETag.
+ *         projectId:
+ *           type: string
+ *           nullable: true
+ *           pattern: '^[0-9a-f]{24}$'
+ *           description: The project the task belongs to. Tasks outside a project are only visible to their creator and assignee.
+ *         statusChangedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: When the task last changed status
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: When the task first moved to in-progress
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           readOnly: true
+ *           description: When the task was completed, or null while it is not
+ *         statusHistory:
+ *           type: array
+ *           readOnly: true
+ *           description: Every status the task has been in, oldest first
+ *           items:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *               by:
+ *                 type: string
+ *                 description: The ID of the user who changed the status
+ *         parentId:
+ *           type: string
+ *           nullable: true
+ *           pattern: '^[0-9a-f]{24}$'
+ *           description: The task this is a subtask of. A task cannot be placed below one of its own subtasks.
+ *         blockedBy:
+ *           type: array
+ *           items:
+ *             type: string
+ *             pattern: '^[0-9a-f]{24}$'
+ *           description: Tasks that must be finished before this one. Dependencies may not form a cycle.
+ *         openSubtasksAtCompletion:
+ *           type: array
+ *           readOnly: true
+ *           items:
+ *             type: string
+ *           description: Subtasks that were still unfinished when the task was completed with force=true
+ *         recurrence:
+ *           type: object
+ *           nullable: true
+ *           required:
+ *             - frequency
+ *           description: >
+ *             Makes the task repeat. Completing it creates the next occurrence with the due date moved
+ *             forward by the rule. The rule lives on the open occurrence: change it there to edit the
+ *             rest of the series, or set it to null to stop the series.
+ *           properties:
+ *             frequency:
+ *               type: string
+ *               enum: [daily, weekly, monthly]
+ *             interval:
+ *               type: integer
+ *               minimum: 1
+ *               maximum: 365
+ *               default: 1
+ *               description: Repeat every this many days, weeks or months
+ *             until:
+ *               type: string
+ *               format: date-time
+ *               description: No occurrence is created with a due date after this. Cannot be combined with count.
+ *             count:
+ *               type: integer
+ *               minimum: 1
+ *               description: Total number of occurrences in the series. Cannot be combined with until.
+ *             byMonthDay:
+ *               type: integer
+ *               minimum: 1
+ *               maximum: 31
+ *               description: Day of the month for monthly rules, the first due date's day by default. Shorter months use their last day.
+ *         seriesId:
+ *           type: string
+ *           readOnly: true
+ *           description: The ID of the first task of a recurring series, shared by all its occurrences
+ *         occurrence:
+ *           type: integer
+ *           readOnly: true
+ *           description: The position of this task in its recurring series, starting at 1
+ *         nextOccurrenceId:
+ *           type: string
+ *           readOnly: true
+ *           description: The occurrence created when this task was completed
+ *         createdBy:
+ *           type: string
+ *           readOnly: true
+ *           description: The ID of the user who created the task, taken from the access token
+ *         assignee:
+ *           $ref: '#/components/schemas/UserSummary'
+ *           readOnly: true
+ *           description: The assigned user. Only present when requested with include=assignee.
+ *         creator:
+ *           $ref: '#/components/schemas/UserSummary'
+ *           readOnly: true
+ *           description: The user who created the task. Only present when requested with include=creator.
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: Date and time when the task was created
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: Date and time when the task was last updated
+ *         version:
+ *           type: integer
+ *           readOnly: true
+ *           description: Goes up by one every time the task changes. The task's ETag is built from it.
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: When the task was moved to the trash. Only present on tasks listed by /trash.
+ *         deletedBy:
+ *           type: string
+ *           readOnly: true
+ *           description: The ID of the user who moved the task to the trash
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ValidationError:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *           example: Validation failed
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 example: status
+ *               message:
+ *                 type: string
+ *                 example: 'must be one of: pending, in-progress, blocked, in-review, completed, cancelled'
+ *     TaskUpdateResult:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *           example: Task updated successfully
+ *         task:
+ *           $ref: '#/components/schemas/Task'
+ *         nextTask:
+ *           $ref: '#/components/schemas/Task'
+ *           description: Only present when completing a recurring task created its next occurrence
+ *     PreconditionFailed:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *         etag:
+ *           type: string
+ *           description: The current ETag of the record
+ *   parameters:
+ *     IfMatch:
+ *       in: header
+ *       name: If-Match
+ *       schema:
+ *         type: string
+ *       description: >
+ *         ETag from an earlier read. The update is rejected with 412 if the record has changed since,
+ *         so that concurrent edits are not silently overwritten.
+ *     IfNoneMatch:
+ *       in: header
+ *       name: If-None-Match
+ *       schema:
+ *         type: string
+ *       description: ETag from an earlier read. If the record is unchanged the response is 304 with no body.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Paging:
+ *       type: object
+ *       properties:
+ *         limit:
+ *           type: integer
+ *           description: Maximum number of items in this page
+ *         totalCount:
+ *           type: integer
+ *           description: Number of items matching the filters across all pages
+ *         hasMore:
+ *           type: boolean
+ *           description: Whether another page is available
+ *         nextCursor:
+ *           type: string
+ *           nullable: true
+ *           description: Cursor to pass as `cursor` to fetch the next page
+ */
+
+/**
+ * @swagger
+ * /tasks:
+ *   get:
+ *     summary: Retrieve a paginated list of tasks
+ *     description: Only tasks the caller can see are listed - those in projects they belong to and their own tasks outside any project.
+ *     tags: [Tasks]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by status (comma-separated for several)
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *         description: Filter by priority (comma-separated for several)
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *         description: Filter by assignee (comma-separated for several)
+ *       - in: query
+ *         name: createdBy
+ *         schema:
+ *           type: string
+ *         description: Filter by creator (comma-separated for several)
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         description: Only tasks in this project
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tags; tasks must carry all of them
+ *       - in: query
+ *         name: dueAfter
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only tasks due on or after this date
+ *       - in: query
+ *         name: dueBefore
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only tasks due on or before this date
+ *       - in: query
+ *         name: parentId
+ *         schema:
+ *           type: string
+ *         description: Only the direct subtasks of this task
+ *       - in: query
+ *         name: seriesId
+ *         schema:
+ *           type: string
+ *         description: Only occurrences of this recurring series
+ *       - in: query
+ *         name: overdue
+ *         schema:
+ *           type: boolean
+ *         description: Only tasks that are (true) or are not (false) overdue
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, updatedAt, dueDate, priority, status, title]
+ *           default: createdAt
+ *         description: Field to sort by
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *         description: Sort direction
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Page size
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: The nextCursor value from the previous page
+ *       - in: query
+ *         name: include
+ *         schema:
+ *           type: string
+ *         description: Comma-separated user summaries to embed in each task, `assignee` and `creator`
+ *     responses:
+ *       200:
+ *         description: A page of tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Task'
+ *                 paging:
+ *                   $ref: '#/components/schemas/Paging'
+ *       400:
+ *         description: Invalid filter, sort or paging parameters
+ */
+router.get('/', async (req, res) => {
+    const { filter, sortField, sortOrder, limit, cursor, error } = parseTaskListQuery(req.query);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    try {
+        const db = getDB();
+        const visibility = await taskVisibilityFilter(req.user);
+        const page = await paginate(
+            db.collection('Tasks'),
+            { $and: [filter, NOT_DELETED, visibility] },
+            { sortField, sortOrder, limit, cursor }
+        );
+        await includeUserSummaries(page.data, String(req.query.include || '').split(','));
+        res.status(200).json(page);
+    } catch (error) {
+        console.error('Error fetching tasks:', error);
+        res.status(500).json({ message: 'Failed to retrieve tasks', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /tasks/workflow:
+ *   get:
+ *     summary: Get the task workflow
+ *     description: The statuses a task may move to from each status. Status changes that do not follow it are rejected with a 409.
+ *     tags: [Tasks]
+ *     responses:
+ *       200:
+ *         description: Allowed next statuses, keyed by status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               additionalProperties:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               example:
+ *                 pending: [in-progress, blocked, completed, cancelled]
+ */
+router.get('/workflow', (req, res) => {
+    res.status(200).json(TRANSITIONS);
+});
+
+/**
+ * @swagger
+ * /tasks/export:
+ *   get:
+ *     summary: Export tasks as CSV, JSON or iCalendar
+ *     description: >
+ *       Takes the filters and sort options of GET /tasks and returns every matching task the caller can
+ *       see, up to 10000, as a file download. CSV lists tags and blockedBy separated by semicolons and
+ *       puts an apostrophe in front of text a spreadsheet would run as a formula (one starting with =, +,
+ *       -, @, a tab or a carriage return); POST /tasks/import removes it again.
+ *       iCalendar exports each task as a to-do (VTODO) due at its due date, or as an event (VEVENT) at it.
+ *     tags: [Tasks]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json, ics]
+ *           default: json
+ *       - in: query
+ *         name: icsComponent
+ *         schema:
+ *           type: string
+ *           enum: [vtodo, vevent]
+ *           default: vtodo
+ *         description: Whether iCalendar exports hold to-dos or events. Many calendar apps only show events.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Any of the GET /tasks filters and sort options may be used
+ *     responses:
+ *       200:
+ *         description: The exported tasks
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Task'
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid format, filter or sort parameters
+ */
+router.get('/export', async (req, res) => {
+    const format = req.query.format || 'json';
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const icsComponent = req.query.icsComponent || 'vtodo';
+    if (icsComponent !== 'vtodo' && icsComponent !== 'vevent') {
+        return res.status(400).json({ message: 'icsComponent must be either vtodo or vevent' });
+    }
+
+    const { filter, error: filterError } = buildTaskFilter(req.query);
+    if (filterError) {
+        return res.status(400).json({ message: filterError });
+    }
+    const { sortField, sortOrder, error: sortError } = parseTaskSort(req.query);
+    if (sortError) {
+        return res.status(400).json({ message: sortError });
+    }
+
+    try {
+        const db = getDB();
+        const visibility = await taskVisibilityFilter(req.user);
+        const tasks = await db.collection('Tasks')
+            .find({ $and: [filter, NOT_DELETED, visibility] })
+            .sort({ [sortField]: sortOrder, _id: sortOrder })
+            .limit(MAX_EXPORT_TASKS)
+            .toArray();
+
+        res.attachment(`tasks.${format}`);
+        if (format === 'csv') {
+            res.type('text/csv').send(toCsv(CSV_COLUMNS, tasks.map(taskToCsvRow)));
+        } else if (format === 'ics') {
+            res.type('text/calendar').send(tasksToICalendar(tasks, { component: icsComponent.toUpperCase() }));
+        } else {
+            res.json(tasks);
+        }
+    } catch (error) {
+        console.error('Error exporting tasks:', error);
+        res.status(500).json({ message: 'Failed to export tasks', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}:
+ *   get:
+ *     summary: Get a task by ID
+ *     tags: [Tasks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The task ID
+ *       - in: query
+ *         name: include
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Comma-separated related documents to embed: `comments`, `subtasks` (the tree of subtasks
+ *           below the task, each with its own `subtasks`), `dependencies` (every task it waits for,
+ *           directly or indirectly, with `depth` 0 for its own blockers), and the `assignee` and
+ *           `creator` user summaries. The ETag of a response with
+ *           embedded documents only works with If-None-Match, not If-Match.
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *     responses:
+ *       200:
+ *         description: Task found by ID
+ *         headers:
+ *           ETag:
+ *             schema:
+ *               type: string
+ *             description: Identifies this version of the task; send it in If-Match to update it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       304:
+ *         description: The task has not changed since the ETag in If-None-Match
+ *       404:
+ *         description: Task not found
+ *       400:
+ *         description: Invalid task ID format
+ */
+router.get('/:id', async (req, res) => {
+    const taskId = req.params.id;
+
+    if (!ObjectId.isValid(taskId)) {
+        return res.status(400).json({ message: 'Invalid task ID format' });
+    }
+
+    try {
+        const task = await findVisibleTask(taskId, req.user);
+
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        // The version tag describes the task alone; with embedded documents
+        // Express tags the response by its content instead
+        if (!req.query.include) {
+            res.set('ETag', entityTag(task));
+            const ifNoneMatch = req.get('If-None-Match');
+            if (ifNoneMatch && ifNoneMatchSatisfied(ifNoneMatch, task)) {
+                return res.status(304).end();
+            }
+        }
+
+        const include = String(req.query.include || '').split(',');
+        if (include.includes('comments')) {
+            task.comments = await findCommentsForTask(task._id);
+        }
+        if (include.includes('subtasks')) {
+            task.subtasks = await findSubtaskTree(task._id, req.user);
+        }
+        if (include.includes('dependencies')) {
+            task.dependencies = await findDependencyChain(task._id, req.user);
+        }
+        await includeUserSummaries([task], include);
+
+        res.status(200).json(task);
+    } catch (error) {
+        console.error('Error fetching task by ID:', error);
+        res.status(500).json({ message: 'Failed to retrieve task', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /tasks:
+ *   post:
+ *     summary: Create a new task
+ *     tags: [Tasks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Task'
+ *     responses:
+ *       201:
+ *         description: Task created successfully
+ *       400:
+ *         description: The task failed validation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: Only project owners and editors can add tasks to the project
+ *       404:
+ *         description: Project, assigned user, parent or blocking task not found
+ */
+router.post('/', validateBody('Task'), async (req, res) => {
+    try {
+        const { task, error } = await createTask(req.body, req.user);
+        if (error) {
+            return sendError(res, error);
+        }
+        res.status(201).json({ message: 'Task created successfully', taskId: task._id });
+    } catch (error) {
+        console.error('Error creating task:', error);
+        res.status(500).json({ message: 'Failed to create task', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BulkTaskOperation:
+ *       type: object
+ *       required:
+ *         - op
+ *       properties:
+ *         op:
+ *           type: string
+ *           enum: [create, update, delete]
+ *         id:
+ *           type: string
+ *           description: The task to update or delete
+ *         filter:
+ *           type: object
+ *           description: >
+ *             Instead of id, update every task matching these GET /tasks filters,
+ *             e.g. { "status": "pending", "assignedTo": "6702026c830e4885300d88a1" }. At most 500 tasks may match.
+ *         task:
+ *           type: object
+ *           description: The task to create, as for POST /tasks
+ *         changes:
+ *           type: object
+ *           description: The fields to change, as for PATCH /tasks/{id}
+ *         force:
+ *           type: boolean
+ *           description: Complete tasks even though some of their subtasks are unfinished
+ *     BulkTaskRequest:
+ *       type: object
+ *       required:
+ *         - operations
+ *       properties:
+ *         atomic:
+ *           type: boolean
+ *           default: false
+ *           description: >
+ *             Run every operation in one MongoDB transaction, so that either all of them take effect
+ *             or none do. Needs MongoDB running as a replica set.
+ *         operations:
+ *           type: array
+ *           minItems: 1
+ *           items:
+ *             $ref: '#/components/schemas/BulkTaskOperation'
+ *     BulkTaskResult:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *         succeeded:
+ *           type: integer
+ *         failed:
+ *           type: integer
+ *         results:
+ *           type: array
+ *           items:
+ *             type: object
+ *             description: >
+ *               The outcome of each operation, in request order: its index and op, and the status and
+ *               body the matching single-task request would have given. Operations after a failure in
+ *               an atomic request are not run and have status null.
+ *             properties:
+ *               index:
+ *                 type: integer
+ *               op:
+ *                 type: string
+ *               status:
+ *                 type: integer
+ *                 nullable: true
+ *               id:
+ *                 type: string
+ *               message:
+ *                 type: string
+ */
+
+/**
+ * @swagger
+ * /tasks/bulk:
+ *   post:
+ *     summary: Create, update and delete many tasks in one request
+ *     description: >
+ *       Each operation follows the validation and permission rules of the matching single-task route.
+ *       Operations run in order, so later ones can refer to tasks changed by earlier ones. By default
+ *       each operation succeeds or fails on its own; with atomic set, one failure undoes them all.
+ *     tags: [Tasks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BulkTaskRequest'
+ *     responses:
+ *       200:
+ *         description: Every operation was attempted (and, for atomic requests, all of them succeeded)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkTaskResult'
+ *       400:
+ *         description: >
+ *           The request failed validation, has too many operations, or is atomic and one of its
+ *           operations failed, in which case no changes were saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkTaskResult'
+ */
+router.post('/bulk', validateBody('BulkTaskRequest'), async (req, res) => {
+    const { operations, atomic = false } = req.body;
+
+    if (operations.length > MAX_BULK_OPERATIONS) {
+        return res.status(400).json({ message: `A bulk request may hold at most ${MAX_BULK_OPERATIONS} operations` });
+    }
+
+    const summarize = (results) => ({
+        succeeded: results.filter((result) => result.status !== null && result.status < 400).length,
+        failed: results.filter((result) => result.status === null || result.status >= 400).length,
+        results,
+    });
+
+    if (!atomic) {
+        const results = [];
+        for (const [index, operation] of operations.entries()) {
+            try {
+                results.push({ index, op: operation.op, ...(await runBulkOperation(operation, req.user, {})) });
+            } catch (error) {
+                console.error('Error running bulk task operation:', error);
+                results.push({ index, op: operation.op, status: 500, message: error.message });
+            }
+        }
+        return res.status(200).json({ message: 'Bulk request processed', ...summarize(results) });
+    }
+
+    const session = startSession();
+    const pendingEvents = [];
+    try {
+        const results = [];
+        session.startTransaction();
+        for (const [index, operation] of operations.entries()) {
+            if (results.some((result) => result.status >= 400)) {
+                results.push({ index, op: operation.op, status: null, message: 'Not run because an earlier operation failed' });
+                continue;
+            }
+            const result = await runBulkOperation(operation, req.user, { session, pendingEvents });
+            results.push({ index, op: operation.op, ...result });
+        }
+
+        if (results.some((result) => result.status === null || result.status >= 400)) {
+            await session.abortTransaction();
+            return res.status(400).json({ message: 'No changes were saved because an operation failed', ...summarize(results) });
+        }
+
+        await session.commitTransaction();
+        pendingEvents.forEach(publish);
+        res.status(200).json({ message: 'Bulk request processed', ...summarize(results) });
+    } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+        // MongoDB reports IllegalOperation when transactions are not available
+        if (error.code === 20) {
+            return res.status(400).json({ message: 'Atomic bulk requests need MongoDB running as a replica set' });
+        }
+        console.error('Error running atomic bulk task request:', error);
+        res.status(500).json({ message: 'Failed to run bulk request', error: error.message });
+    } finally {
+        await session.endSession();
+    }
+});
+
+// Imports are parsed here rather than by the app-wide JSON parser, whose default
+// limit of 100kb holds far fewer than MAX_IMPORT_TASKS tasks
+const parseImportBody = [express.text({ type: 'text/csv', limit: '1mb' }), express.json({ limit: '1mb' })];
+
+/**
+ * @swagger
+ * /tasks/import:
+ *   post:
+ *     summary: Import tasks from CSV or JSON
+ *     description: >
+ *       Creates a task for each record, following the validation and permission rules of POST /tasks.
+ *       Send CSV with Content-Type text/csv and a header row naming the columns (the ones of a CSV export;
+ *       read-only ones such as id are ignored), or JSON as an array of tasks or { "tasks": [...] }.
+ *       Valid records are imported even when others are rejected. At most 1000 records per request.
+ *     tags: [Tasks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/Task'
+ *     responses:
+ *       200:
+ *         description: The IDs of the imported tasks and the reasons the other records were rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 imported:
+ *                   type: integer
+ *                 taskIds:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 rejected:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                         description: Position of the record, starting at 1 with the first record after the CSV header
+ *                       message:
+ *                         type: string
+ *                       errors:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *       400:
+ *         description: The body is not CSV or a list of tasks, is empty or has too many records
+ *       413:
+ *         description: The body is larger than 1mb
+ */
+router.post('/import', parseImportBody, async (req, res) => {
+    let records;
+    if (req.is('text/csv')) {
+        const { records: csvRecords, error } = parseCsv(String(req.body || ''));
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        records = csvRecords.map(csvRecordToTask);
+    } else if (Array.isArray(req.body)) {
+        records = req.body;
+    } else if (req.body && Array.isArray(req.body.tasks)) {
+        records = req.body.tasks;
+    } else {
+        return res.status(400).json({ message: 'Send CSV as text/csv, or a JSON array of tasks or { "tasks": [...] }' });
+    }
+
+    if (records.length === 0) {
+        return res.status(400).json({ message: 'There are no tasks to import' });
+    }
+    if (records.length > MAX_IMPORT_TASKS) {
+        return res.status(400).json({ message: `At most ${MAX_IMPORT_TASKS} tasks can be imported at once` });
+    }
+
+    const schemas = swaggerDocs.components.schemas;
+    const taskIds = [];
+    const rejected = [];
+
+    try {
+        for (const [index, record] of records.entries()) {
+            const row = index + 1;
+            const errors = validateSchema(schemas.Task, record, schemas);
+            if (errors.length > 0) {
+                rejected.push({ row, message: 'Validation failed', errors });
+                continue;
+            }
+
+            const { task, error } = await createTask(record, req.user);
+            if (error) {
+                rejected.push({ row, message: error.message });
+            } else {
+                taskIds.push(task._id);
+            }
+        }
+
+        res.status(200).json({
+            message: `Imported ${taskIds.length} of ${records.length} tasks`,
+            imported: taskIds.length,
+            taskIds,
+            rejected,
+        });
+    } catch (error) {
+        console.error('Error importing tasks:', error);
+        res.status(500).json({
+            message: 'Failed to import tasks',
+            error: error.message,
+            imported: taskIds.length,
+            taskIds,
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}:
+ *   put:
+ *     summary: Replace an existing task
+ *     description: Every required field must be sent. Use PATCH to change only some fields.
+ *     tags: [Tasks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The task ID
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *         description: Complete the task even though some of its subtasks are unfinished
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Task'
+ *     responses:
+ *       200:
+ *         description: Task updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaskUpdateResult'
+ *       403:
+ *         description: Only the owner or an admin can edit the task; managers may reassign it and assignees may change its status
+ *       404:
+ *         description: Task or assigned user not found
+ *       412:
+ *         description: The task has changed since the ETag in If-Match was read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PreconditionFailed'
+ *       409:
+ *         description: >
+ *           The workflow does not allow the status change (allowedStatuses lists the allowed ones), the task
+ *           has unfinished subtasks (listed in openSubtasks; pass force=true to complete it anyway), or the
+ *           parent or dependencies would create a cycle
+ *       400:
+ *         description: Invalid task ID format or the task failed validation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+router.put('/:id', validateBody('Task'), async (req, res) => {
+    const { title, description, status, assignedTo, dueDate, priority, tags, projectId, recurrence, parentId, blockedBy } = req.body;
+
+    const changes = {
+        title,
+        description,
+        status,
+        assignedTo,
+        dueDate: new Date(dueDate),
+        priority,
+    };
+    // Tags are optional on PUT; leave the existing ones alone when they are not sent
+    if (tags !== undefined) {
+        changes.tags = tags;
+    }
+    if (projectId !== undefined) {
+        changes.projectId = projectId ? new ObjectId(projectId) : null;
+    }
+    if (parentId !== undefined) {
+        changes.parentId = toParentId(parentId);
+    }
+    if (blockedBy !== undefined) {
+        changes.blockedBy = toBlockedBy(blockedBy);
+    }
+    if (recurrence !== undefined) {
+        const { recurrence: rule, error } = normalizeRecurrence(recurrence);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        changes.recurrence = rule;
+    }
+
+    await applyTaskUpdate(req, res, changes);
+});
+
+/**
+ * @swagger
+ * /tasks/{id}:
+ *   patch:
+ *     summary: Partially update a task
+ *     description: Only the fields sent are validated and changed. Accepts plain JSON or a JSON Merge Patch (RFC 7386) document.
+ *     tags: [Tasks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The task ID
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *         description: Complete the task even though some of its subtasks are unfinished
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Task'
+ *         application/merge-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/Task'
+ *     responses:
+ *       200:
+ *         description: Task updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaskUpdateResult'
+ *       403:
+ *         description: Only the owner or an admin can edit the task; managers may reassign it and assignees may change its status
+ *       404:
+ *         description: Task or assigned user not found
+ *       412:
+ *         description: The task has changed since the ETag in If-Match was read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PreconditionFailed'
+ *       409:
+ *         description: >
+ *           The workflow does not allow the status change (allowedStatuses lists the allowed ones), the task
+ *           has unfinished subtasks (listed in openSubtasks; pass force=true to complete it anyway), or the
+ *           parent or dependencies would create a cycle
+ *       400:
+ *         description: Invalid task ID format, no updatable fields or the fields failed validation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+router.patch('/:id', validateBody('Task', { partial: true }), async (req, res) => {
+    const { changes, error } = buildTaskChanges(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    await applyTaskUpdate(req, res, changes);
+});
 
 /**
  * @swagger
  * components:
  *   schemas:
- *     Task:
+ *     TagList:
  *       type: object
  *       required:
- *         - title
- *         - description
- *         - status
- *         - assignedTo
- *         - dueDate
- *         - priority
- *         - createdBy
+ *         - tags
  *       properties:
- *         id:
- *           type: string
- *           description: The auto-generated ID of the task
- *         title:
- *           type: string
- *           description: Title of the task
- *         description:
- *           type: string
- *           description: Description of the task
- *         status:
- *           type: string
- *           enum: [pending, completed]
- *           description: Status of the task
- *         assignedTo:
- *           type: string
- *           description: The person assigned to the task
- *         dueDate:
- *           type: string
- *           format: date-time
- *           description: Due date of the task
- *         priority:
- *           type: string
- *           enum: [low, medium, high]
- *           description: Priority of the task
  *         tags:
  *           type: array
  *           items:
  *             type: string
- *           description: Tags associated with the task
- *         comments:
- *           type: array
- *           items:
- *             type: string
- *           description: Comments related to the task
- *         createdBy:
- *           type: string
- *           description: The creator of the task
- *         createdAt:
- *           type: string
- *           format: date-time
- *           description: Date and time when the task was created
- *         updatedAt:
- *           type: string
- *           format: date-time
- *           description: Date and time when the task was last updated
+ *             minLength: 1
+ *             maxLength: 50
+ *           description: Tags to add to the task
  */
 
 /**
  * @swagger
- * /tasks:
- *   get:
- *     summary: Retrieve a list of tasks
+ * /tasks/{id}/tags:
+ *   post:
+ *     summary: Add tags to a task
+ *     description: Tags already on the task are left as they are.
  *     tags: [Tasks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TagList'
  *     responses:
  *       200:
- *         description: A list of tasks
+ *         description: Tags added successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Task'
+ *               $ref: '#/components/schemas/TaskUpdateResult'
+ *       400:
+ *         description: Invalid task ID format or invalid tags
+ *       403:
+ *         description: Only the owner or an admin can change the tags
+ *       404:
+ *         description: Task not found
  */
-router.get('/', async (req, res) => {
-    try {
-        const db = getDB();
-        const tasks = await db.collection('Tasks').find().toArray();
-        res.status(200).json(tasks);
-    } catch (error) {
-        console.error('Error fetching tasks:', error);
-        res.status(500).json({ message: 'Failed to retrieve tasks', error: error.message });
-    }
+router.post('/:id/tags', validateBody('TagList'), async (req, res) => {
+    const { tags } = req.body;
+
+    await applyTaskUpdate(req, res, (task) => ({
+        changes: { tags: [...new Set([...(task.tags || []), ...tags])] },
+        update: { $addToSet: { tags: { $each: tags } } },
+    }));
 });
 
 /**
  * @swagger
- * /tasks/{id}:
- *   get:
- *     summary: Get a task by ID
+ * /tasks/{id}/tags/{tag}:
+ *   delete:
+ *     summary: Remove a tag from a task
  *     tags: [Tasks]
  *     parameters:
  *       - in: path
@@ -105,95 +1786,141 @@ router.get('/', async (req, res) => {
  *           type: string
  *         required: true
  *         description: The task ID
+ *       - in: path
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The tag to remove
  *     responses:
  *       200:
- *         description: Task found by ID
+ *         description: Tag removed successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Task'
- *       404:
- *         description: Task not found
+ *               $ref: '#/components/schemas/TaskUpdateResult'
  *       400:
  *         description: Invalid task ID format
+ *       403:
+ *         description: Only the owner or an admin can change the tags
+ *       404:
+ *         description: Task not found
  */
-router.get('/:id', async (req, res) => {
-    const taskId = req.params.id;
+router.delete('/:id/tags/:tag', async (req, res) => {
+    const { tag } = req.params;
 
-    if (!ObjectId.isValid(taskId)) {
-        return res.status(400).json({ message: 'Invalid task ID format' });
-    }
+    await applyTaskUpdate(req, res, (task) => ({
+        changes: { tags: (task.tags || []).filter((existing) => existing !== tag) },
+        update: { $pull: { tags: tag } },
+    }));
+});
 
+/**
+ * @swagger
+ * /tasks/{id}:
+ *   delete:
+ *     summary: Move a task to the trash
+ *     description: The task and its comments are hidden from normal reads and can be restored from /trash until they are purged.
+ *     tags: [Tasks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The task ID
+ *     responses:
+ *       200:
+ *         description: Task and its comments moved to trash
+ *       403:
+ *         description: Only the owner or an admin can delete the task
+ *       404:
+ *         description: Task not found
+ */
+router.delete('/:id', async (req, res) => {
     try {
-        const db = getDB();
-        const task = await db.collection('Tasks').findOne({ _id: new ObjectId(taskId) });
-
-        if (!task) {
-            return res.status(404).json({ message: 'Task not found' });
+        const { deletedComments, error } = await deleteTask(req.params.id, req.user);
+        if (error) {
+            return sendError(res, error);
         }
-
-        res.status(200).json(task);
+        res.status(200).json({ message: 'Task moved to trash', deletedComments: deletedComments.length });
     } catch (error) {
-        console.error('Error fetching task by ID:', error);
-        res.status(500).json({ message: 'Failed to retrieve task', error: error.message });
+        console.error('Error deleting task:', error);
+        res.status(500).json({ message: 'Failed to delete task', error: error.message });
     }
 });
 
 /**
  * @swagger
- * /tasks:
- *   post:
- *     summary: Create a new task
- *     tags: [Tasks]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/Task'
+ * components:
+ *   schemas:
+ *     TaskComment:
+ *       type: object
+ *       required:
+ *         - content
+ *       properties:
+ *         content:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 5000
+ *           description: The content of the comment
+ */
+
+/**
+ * @swagger
+ * /tasks/{id}/comments:
+ *   get:
+ *     summary: Retrieve the comments on a task
+ *     tags: [Tasks, Comments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The task ID
  *     responses:
- *       201:
- *         description: Task created successfully
+ *       200:
+ *         description: The task's comments, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Comment'
  *       400:
- *         description: All fields are required
+ *         description: Invalid task ID format
+ *       404:
+ *         description: Task not found
  */
-router.post('/', async (req, res) => {
-    const { title, description, status, assignedTo, dueDate, priority, createdBy, tags = [], comments = [] } = req.body;
+router.get('/:id/comments', async (req, res) => {
+    const taskId = req.params.id;
 
-    // Validate required fields
-    if (!title || !description || !status || !assignedTo || !dueDate || !priority || !createdBy) {
-        return res.status(400).json({ message: 'All fields are required' });
+    if (!ObjectId.isValid(taskId)) {
+        return res.status(400).json({ message: 'Invalid task ID format' });
     }
 
     try {
-        const db = getDB();
-        const newTask = {
-            title,
-            description,
-            status,
-            assignedTo,
-            dueDate: new Date(dueDate),
-            priority,
-            tags,
-            comments,
-            createdBy,
-            createdAt: new Date(),
-            updatedAt: new Date() // Set the initial updatedAt to now
-        };
-        const result = await db.collection('Tasks').insertOne(newTask);
-        res.status(201).json({ message: 'Task created successfully', taskId: result.insertedId });
+        const task = await findVisibleTask(taskId, req.user);
+
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        const comments = await findCommentsForTask(task._id);
+        res.status(200).json(comments);
     } catch (error) {
-        console.error('Error creating task:', error);
-        res.status(500).json({ message: 'Failed to create task', error: error.message });
+        console.error('Error fetching task comments:', error);
+        res.status(500).json({ message: 'Failed to retrieve comments', error: error.message });
     }
 });
 
 /**
  * @swagger
- * /tasks/{id}:
- *   put:
- *     summary: Update an existing task
- *     tags: [Tasks]
+ * /tasks/{id}/comments:
+ *   post:
+ *     summary: Add a comment to a task
+ *     tags: [Tasks, Comments]
  *     parameters:
  *       - in: path
  *         name: id
@@ -206,61 +1933,100 @@ router.post('/', async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Task'
+ *             $ref: '#/components/schemas/TaskComment'
  *     responses:
- *       200:
- *         description: Task updated successfully
+ *       201:
+ *         description: Comment created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Comment'
+ *       400:
+ *         description: Invalid task ID format or the comment failed validation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  *       404:
  *         description: Task not found
- *       400:
- *         description: All fields are required
  */
-router.put('/:id', async (req, res) => {
+router.post('/:id/comments', validateBody('TaskComment'), async (req, res) => {
     const taskId = req.params.id;
 
     if (!ObjectId.isValid(taskId)) {
         return res.status(400).json({ message: 'Invalid task ID format' });
     }
 
-    const { title, description, status, assignedTo, dueDate, priority } = req.body;
-
-    // Validate required fields
-    if (!title || !description || !status || !assignedTo || !dueDate || !priority) {
-        return res.status(400).json({ message: 'All fields are required' });
-    }
-
     try {
-        const db = getDB();
-        const updatedTask = {
-            $set: {
-                title,
-                description,
-                status,
-                assignedTo,
-                dueDate: new Date(dueDate),
-                priority,
-                updatedAt: new Date() // Update the updatedAt field
-            }
-        };
+        const task = await findVisibleTask(taskId, req.user);
 
-        const result = await db.collection('Tasks').updateOne({ _id: new ObjectId(taskId) }, updatedTask);
-
-        if (result.matchedCount === 0) {
+        if (!task) {
             return res.status(404).json({ message: 'Task not found' });
         }
 
-        res.status(200).json({ message: 'Task updated successfully' });
+        const comment = await createComment(task, req.body.content, req.user);
+        await recordActivity({
+            entityType: 'comment',
+            entityId: comment._id,
+            taskId: task._id,
+            action: 'create',
+            actor: req.user,
+            after: comment,
+            task,
+        });
+        res.status(201).json(comment);
     } catch (error) {
-        console.error('Error updating task:', error);
-        res.status(500).json({ message: 'Failed to update task', error: error.message });
+        console.error('Error creating comment:', error);
+        res.status(500).json({ message: 'Failed to create comment', error: error.message });
     }
 });
 
 /**
  * @swagger
- * /tasks/{id}:
- *   delete:
- *     summary: Delete a task
+ * components:
+ *   schemas:
+ *     AuditEntry:
+ *       type: object
+ *       properties:
+ *         entityType:
+ *           type: string
+ *           enum: [task, comment]
+ *           description: Whether the entry is about the task itself or one of its comments
+ *         entityId:
+ *           type: string
+ *           description: The ID of the task or comment that changed
+ *         taskId:
+ *           type: string
+ *           description: The ID of the task the entry belongs to
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete, restore, purge]
+ *         actor:
+ *           type: string
+ *           description: The ID of the user who made the change
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *         changes:
+ *           type: object
+ *           description: Changed fields, each mapped to its previous and new value
+ *           additionalProperties:
+ *             type: object
+ *             properties:
+ *               from: {}
+ *               to: {}
+ *           example:
+ *             status:
+ *               from: pending
+ *               to: completed
+ */
+
+/**
+ * @swagger
+ * /tasks/{id}/history:
+ *   get:
+ *     summary: Retrieve the change history of a task and its comments
+ *     description: History remains available after the task has been deleted. Purged tasks' history is only available to admins.
  *     tags: [Tasks]
  *     parameters:
  *       - in: path
@@ -271,11 +2037,19 @@ router.put('/:id', async (req, res) => {
  *         description: The task ID
  *     responses:
  *       200:
- *         description: Task deleted successfully
+ *         description: Audit entries, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AuditEntry'
+ *       400:
+ *         description: Invalid task ID format
  *       404:
- *         description: Task not found
+ *         description: No history found for the task
  */
-router.delete('/:id', async (req, res) => {
+router.get('/:id/history', async (req, res) => {
     const taskId = req.params.id;
 
     if (!ObjectId.isValid(taskId)) {
@@ -283,17 +2057,25 @@ router.delete('/:id', async (req, res) => {
     }
 
     try {
+        // Trashed tasks keep their history; purged ones only remain visible to admins
         const db = getDB();
-        const result = await db.collection('Tasks').deleteOne({ _id: new ObjectId(taskId) });
+        const visibility = await taskVisibilityFilter(req.user);
+        const task = await db.collection('Tasks').findOne({ _id: new ObjectId(taskId), ...visibility });
 
-        if (result.deletedCount === 0) {
+        if (!task && !hasRole(req.user, 'admin')) {
             return res.status(404).json({ message: 'Task not found' });
         }
 
-        res.status(200).json({ message: 'Task deleted successfully' });
+        const history = await findTaskHistory(taskId);
+
+        if (history.length === 0) {
+            return res.status(404).json({ message: 'No history found for this task' });
+        }
+
+        res.status(200).json(history);
     } catch (error) {
-        console.error('Error deleting task:', error);
-        res.status(500).json({ message: 'Failed to delete task', error: error.message });
+        console.error('Error fetching task history:', error);
+        res.status(500).json({ message: 'Failed to retrieve task history', error: error.message });
     }
 });
 
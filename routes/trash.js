@@ -0,0 +1,303 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const router = express.Router();
+const config = require('../config');
+const { getDB } = require('../mongodb/database');
+const { restore, findTrash, purgeTrash } = require('../mongodb/trash');
+const { restoreCommentsForTask, relinkComment } = require('../mongodb/comments');
+const { recordActivity } = require('../services/activity');
+const { hasRole, canDeleteTask, canModifyComment } = require('../utils/permissions');
+const authorizeRoles = require('../middleware/roleMiddleware');
+
+const IN_TRASH = { deletedAt: { $ne: null } };
+
+/**
+ * @swagger
+ * tags:
+ *   name: Trash
+ *   description: Deleted tasks and comments that can still be restored
+ */
+
+/**
+ * @swagger
+ * /trash:
+ *   get:
+ *     summary: List deleted tasks and comments
+ *     description: Admins see everything in the trash; other users see what they deleted or own.
+ *     tags: [Trash]
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [tasks, comments]
+ *         description: Only list one kind of record
+ *     responses:
+ *       200:
+ *         description: Deleted records, most recently deleted first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tasks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Task'
+ *                 comments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Comment'
+ *       400:
+ *         description: Invalid type
+ */
+router.get('/', async (req, res) => {
+    const { type } = req.query;
+
+    if (type && type !== 'tasks' && type !== 'comments') {
+        return res.status(400).json({ message: 'type must be either tasks or comments' });
+    }
+
+    const isAdmin = hasRole(req.user, 'admin');
+    const taskFilter = isAdmin ? {} : { $or: [{ deletedBy: req.user.id }, { createdBy: req.user.id }] };
+    const commentFilter = isAdmin ? {} : { $or: [{ deletedBy: req.user.id }, { author: req.user.id }] };
+
+    try {
+        const trash = {};
+        if (type !== 'comments') {
+            trash.tasks = await findTrash('Tasks', taskFilter);
+        }
+        if (type !== 'tasks') {
+            trash.comments = await findTrash('Comments', commentFilter);
+        }
+        res.status(200).json(trash);
+    } catch (error) {
+        console.error('Error fetching trash:', error);
+        res.status(500).json({ message: 'Failed to retrieve trash', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /trash/tasks/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted task
+ *     description: Comments that were deleted together with the task are restored as well.
+ *     tags: [Trash]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The task ID
+ *     responses:
+ *       200:
+ *         description: Task restored successfully
+ *       400:
+ *         description: Invalid task ID format
+ *       403:
+ *         description: Only the owner or an admin can restore the task
+ *       404:
+ *         description: Task not found in the trash
+ */
+router.post('/tasks/:id/restore', async (req, res) => {
+    const taskId = req.params.id;
+
+    if (!ObjectId.isValid(taskId)) {
+        return res.status(400).json({ message: 'Invalid task ID format' });
+    }
+
+    try {
+        const db = getDB();
+        const task = await db.collection('Tasks').findOne({ _id: new ObjectId(taskId), ...IN_TRASH });
+
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found in trash' });
+        }
+
+        if (!canDeleteTask(task, req.user)) {
+            return res.status(403).json({ message: 'Only the task owner or an admin can restore this task' });
+        }
+
+        const restoredTask = await restore('Tasks', task._id);
+
+        if (!restoredTask) {
+            return res.status(404).json({ message: 'Task not found in trash' });
+        }
+
+        const restoredComments = await restoreCommentsForTask(task._id);
+        await recordActivity({
+            entityType: 'task',
+            entityId: task._id,
+            taskId: task._id,
+            action: 'restore',
+            actor: req.user,
+            before: task,
+            after: restoredTask,
+        });
+
+        res.status(200).json({ message: 'Task restored successfully', task: restoredTask, restoredComments });
+    } catch (error) {
+        console.error('Error restoring task:', error);
+        res.status(500).json({ message: 'Failed to restore task', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /trash/comments/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted comment
+ *     tags: [Trash]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The comment ID
+ *     responses:
+ *       200:
+ *         description: Comment restored successfully
+ *       400:
+ *         description: Invalid comment ID format
+ *       403:
+ *         description: Only the author or an admin can restore the comment
+ *       404:
+ *         description: Comment not found in the trash
+ *       409:
+ *         description: The comment's task is still in the trash
+ */
+router.post('/comments/:id/restore', async (req, res) => {
+    const commentId = req.params.id;
+
+    if (!ObjectId.isValid(commentId)) {
+        return res.status(400).json({ message: 'Invalid comment ID format' });
+    }
+
+    try {
+        const db = getDB();
+        const comment = await db.collection('Comments').findOne({ _id: new ObjectId(commentId), ...IN_TRASH });
+
+        if (!comment) {
+            return res.status(404).json({ message: 'Comment not found in trash' });
+        }
+
+        if (!canModifyComment(comment, req.user)) {
+            return res.status(403).json({ message: 'Only the comment author or an admin can restore this comment' });
+        }
+
+        if (ObjectId.isValid(comment.taskId)) {
+            const taskInTrash = await db.collection('Tasks').findOne({ _id: new ObjectId(comment.taskId), ...IN_TRASH });
+            if (taskInTrash) {
+                return res.status(409).json({ message: 'Restore the task this comment belongs to first' });
+            }
+        }
+
+        const restoredComment = await restore('Comments', comment._id);
+
+        if (!restoredComment) {
+            return res.status(404).json({ message: 'Comment not found in trash' });
+        }
+
+        if (ObjectId.isValid(comment.taskId)) {
+            await relinkComment(comment._id, null, comment.taskId);
+        }
+        await recordActivity({
+            entityType: 'comment',
+            entityId: comment._id,
+            taskId: comment.taskId,
+            action: 'restore',
+            actor: req.user,
+            before: comment,
+            after: restoredComment,
+        });
+
+        res.status(200).json({ message: 'Comment restored successfully', comment: restoredComment });
+    } catch (error) {
+        console.error('Error restoring comment:', error);
+        res.status(500).json({ message: 'Failed to restore comment', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /trash/purge:
+ *   post:
+ *     summary: Permanently remove old items from the trash (admin only)
+ *     tags: [Trash]
+ *     parameters:
+ *       - in: query
+ *         name: olderThanDays
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Purge items deleted more than this many days ago. Defaults to the TRASH_RETENTION_DAYS setting (30 days).
+ *     responses:
+ *       200:
+ *         description: Number of tasks and comments purged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 purgedTasks:
+ *                   type: integer
+ *                 purgedComments:
+ *                   type: integer
+ *       400:
+ *         description: Invalid olderThanDays
+ *       403:
+ *         description: Admin role required
+ */
+router.post('/purge', authorizeRoles('admin'), async (req, res) => {
+    const olderThanDays = req.query.olderThanDays === undefined
+        ? config.trash.retentionDays
+        : Number(req.query.olderThanDays);
+
+    if (!Number.isInteger(olderThanDays) || olderThanDays < 0) {
+        return res.status(400).json({ message: 'olderThanDays must be a non-negative integer' });
+    }
+
+    const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+
+    try {
+        const purgedComments = await purgeTrash('Comments', cutoff);
+        const purgedTasks = await purgeTrash('Tasks', cutoff);
+
+        for (const comment of purgedComments) {
+            await recordActivity({
+                entityType: 'comment',
+                entityId: comment._id,
+                taskId: comment.taskId,
+                action: 'purge',
+                actor: req.user,
+                before: comment,
+            });
+        }
+        for (const task of purgedTasks) {
+            await recordActivity({
+                entityType: 'task',
+                entityId: task._id,
+                taskId: task._id,
+                action: 'purge',
+                actor: req.user,
+                before: task,
+            });
+        }
+
+        res.status(200).json({
+            message: 'Trash purged successfully',
+            purgedTasks: purgedTasks.length,
+            purgedComments: purgedComments.length,
+        });
+    } catch (error) {
+        console.error('Error purging trash:', error);
+        res.status(500).json({ message: 'Failed to purge trash', error: error.message });
+    }
+});
+
+module.exports = router;
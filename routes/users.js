@@ -0,0 +1,400 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const router = express.Router();
+const { getDB } = require('../mongodb/database');
+const authorizeRoles = require('../middleware/roleMiddleware');
+const validateBody = require('../middleware/validate');
+const { paginate, parseLimit, decodeCursor } = require('../utils/pagination');
+const {
+    ROLES,
+    toUserSummary,
+    findUserByEmail,
+    findUserProfile,
+    findUserSummaries,
+    listUsers,
+    updateUserProfile,
+    updateUserRole,
+} = require('../mongodb/user');
+
+// Profile fields users may change about themselves
+const PROFILE_FIELDS = ['displayName', 'email', 'avatarUrl'];
+
+// Escape a search term for use inside a regular expression
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Users
+ *   description: User profiles, the user directory and user administration
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     User:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated ID of the user
+ *         username:
+ *           type: string
+ *           description: The user's login name
+ *         displayName:
+ *           type: string
+ *           description: The name shown to other users
+ *         email:
+ *           type: string
+ *           description: Where password reset emails are sent. Only visible to the user and admins.
+ *         avatarUrl:
+ *           type: string
+ *           description: Link to the user's picture
+ *         role:
+ *           type: string
+ *           enum: [admin, manager, member]
+ *           description: >
+ *             The user's role. Everyone starts as a member; the first admin is made with
+ *             scripts/setRole.js.
+ *     UserProfile:
+ *       type: object
+ *       properties:
+ *         displayName:
+ *           type: string
+ *           nullable: true
+ *           minLength: 1
+ *           maxLength: 100
+ *         email:
+ *           type: string
+ *           nullable: true
+ *           maxLength: 254
+ *           pattern: '^[^@\s]+@[^@\s]+\.[^@\s]+$'
+ *         avatarUrl:
+ *           type: string
+ *           nullable: true
+ *           maxLength: 2000
+ *           pattern: '^https?://'
+ *     UserSummary:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         username:
+ *           type: string
+ *         displayName:
+ *           type: string
+ *           nullable: true
+ *         avatarUrl:
+ *           type: string
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /users:
+ *   get:
+ *     summary: Retrieve a list of users (admin only)
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: A list of users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/User'
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/', authorizeRoles('admin'), async (req, res) => {
+    try {
+        const users = await listUsers();
+        res.status(200).json(users);
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({ message: 'Failed to retrieve users', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /users/directory:
+ *   get:
+ *     summary: Search the user directory
+ *     description: Available to every user. Lists user summaries sorted by username.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Only list users whose username or display name contains this text, ignoring case
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: The nextCursor of the previous page
+ *     responses:
+ *       200:
+ *         description: A page of users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UserSummary'
+ *                 paging:
+ *                   $ref: '#/components/schemas/Paging'
+ *       400:
+ *         description: Invalid limit or cursor
+ */
+router.get('/directory', async (req, res) => {
+    const { limit, error } = parseLimit(req.query.limit);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    let cursor = null;
+    if (req.query.cursor) {
+        cursor = decodeCursor(req.query.cursor);
+        if (!cursor) {
+            return res.status(400).json({ message: 'Invalid cursor' });
+        }
+    }
+
+    const q = String(req.query.q || '').trim();
+    const filter = {};
+    if (q) {
+        const pattern = new RegExp(escapeRegExp(q), 'i');
+        filter.$or = [{ username: pattern }, { displayName: pattern }];
+    }
+
+    try {
+        const db = getDB();
+        const page = await paginate(db.collection('users'), filter, { sortField: 'username', sortOrder: 1, limit, cursor });
+        res.status(200).json({ ...page, data: page.data.map(toUserSummary) });
+    } catch (error) {
+        console.error('Error searching users:', error);
+        res.status(500).json({ message: 'Failed to search users', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /users/me:
+ *   get:
+ *     summary: Get the profile of the logged in user
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: The user's profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       404:
+ *         description: The user no longer exists
+ */
+router.get('/me', async (req, res) => {
+    try {
+        const user = await findUserProfile(req.user.id);
+
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        res.status(200).json(user);
+    } catch (error) {
+        console.error('Error fetching profile:', error);
+        res.status(500).json({ message: 'Failed to retrieve profile', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /users/me:
+ *   patch:
+ *     summary: Update the profile of the logged in user
+ *     description: Only the fields sent are changed. Send null to clear a field.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UserProfile'
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: No profile fields, the fields failed validation or the email is already in use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: The user no longer exists
+ */
+router.patch('/me', validateBody('UserProfile'), async (req, res) => {
+    const changes = {};
+    PROFILE_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) {
+            changes[field] = typeof req.body[field] === 'string' ? req.body[field].trim() : req.body[field];
+        }
+    });
+
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ message: `Provide at least one of: ${PROFILE_FIELDS.join(', ')}` });
+    }
+
+    try {
+        if (changes.email) {
+            const owner = await findUserByEmail(changes.email);
+            if (owner && owner._id.toString() !== req.user.id) {
+                return res.status(400).json({ message: 'Email is already in use' });
+            }
+        }
+
+        const user = await updateUserProfile(req.user.id, changes);
+
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        res.status(200).json(user);
+    } catch (error) {
+        console.error('Error updating profile:', error);
+        res.status(500).json({ message: 'Failed to update profile', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /users/{id}:
+ *   get:
+ *     summary: Get a user's summary
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The user ID
+ *     responses:
+ *       200:
+ *         description: The user's summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserSummary'
+ *       400:
+ *         description: Invalid user ID format
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id', async (req, res) => {
+    const userId = req.params.id;
+
+    if (!ObjectId.isValid(userId)) {
+        return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+
+    try {
+        const summaries = await findUserSummaries([userId]);
+        const user = summaries.get(new ObjectId(userId).toString());
+
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        res.status(200).json(user);
+    } catch (error) {
+        console.error('Error fetching user:', error);
+        res.status(500).json({ message: 'Failed to retrieve user', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /users/{id}/role:
+ *   put:
+ *     summary: Change a user's role (admin only)
+ *     description: The new role applies right away, also to the user's open sessions.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, manager, member]
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid user ID or role
+ *       403:
+ *         description: Admin role required
+ *       404:
+ *         description: User not found
+ */
+router.put('/:id/role', authorizeRoles('admin'), async (req, res) => {
+    const userId = req.params.id;
+    const { role } = req.body;
+
+    if (!ObjectId.isValid(userId)) {
+        return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+
+    if (!ROLES.includes(role)) {
+        return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    try {
+        const user = await updateUserRole(userId, role);
+
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        res.status(200).json(user);
+    } catch (error) {
+        console.error('Error updating user role:', error);
+        res.status(500).json({ message: 'Failed to update user role', error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,464 @@
+const crypto = require('crypto');
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const router = express.Router();
+const { getDB } = require('../mongodb/database');
+const { checkWebhookUrl, deliver } = require('../services/webhooks');
+const { paginate, parseLimit, decodeCursor } = require('../utils/pagination');
+const { hasRole } = require('../utils/permissions');
+const validateBody = require('../middleware/validate');
+
+// The signing secret is only shown once, when the webhook is created
+const HIDE_SECRET = { projection: { secret: 0 } };
+
+// Respond with 400 and return false when the URL points somewhere deliveries may not go
+async function checkUrl(url, res) {
+    const message = await checkWebhookUrl(url);
+    if (message) {
+        res.status(400).json({ message: 'Validation failed', errors: [{ field: 'url', message }] });
+        return false;
+    }
+    return true;
+}
+
+// Look up a webhook the caller registered (admins can use every webhook).
+// Sends the error response and returns null when it cannot be used.
+async function loadWebhook(req, res) {
+    const webhookId = req.params.id;
+
+    if (!ObjectId.isValid(webhookId)) {
+        res.status(400).json({ message: 'Invalid webhook ID format' });
+        return null;
+    }
+
+    const db = getDB();
+    const webhook = await db.collection('Webhooks').findOne({ _id: new ObjectId(webhookId) });
+
+    if (!webhook || !(webhook.createdBy === req.user.id || hasRole(req.user, 'admin'))) {
+        res.status(404).json({ message: 'Webhook not found' });
+        return null;
+    }
+    return webhook;
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: Webhooks
+ *   description: Outgoing HTTP notifications of task and comment changes
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Webhook:
+ *       type: object
+ *       required:
+ *         - url
+ *         - events
+ *       properties:
+ *         id:
+ *           type: string
+ *           readOnly: true
+ *           description: The auto-generated ID of the webhook
+ *         url:
+ *           type: string
+ *           pattern: '^https?://'
+ *           maxLength: 2000
+ *           description: The URL deliveries are POSTed to. It may not point at a non-public address.
+ *         events:
+ *           type: array
+ *           minItems: 1
+ *           items:
+ *             type: string
+ *             enum: [task.created, task.updated, task.status_changed, task.assigned, task.deleted, comment.created]
+ *           description: The events to deliver. Only changes to tasks the webhook's creator can see are sent.
+ *         active:
+ *           type: boolean
+ *           description: Inactive webhooks receive no deliveries
+ *         secret:
+ *           type: string
+ *           readOnly: true
+ *           description: >
+ *             Key for the `X-Webhook-Signature` header, `sha256=` followed by the hex HMAC-SHA256 of the
+ *             raw request body. Only returned when the webhook is created.
+ *         createdBy:
+ *           type: string
+ *           readOnly: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         deliveryId:
+ *           type: string
+ *           description: Shared by every attempt to deliver the same event, and sent as `X-Webhook-Delivery`
+ *         event:
+ *           type: string
+ *         attempt:
+ *           type: integer
+ *         succeeded:
+ *           type: boolean
+ *         statusCode:
+ *           type: integer
+ *           nullable: true
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         durationMs:
+ *           type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the next retry is due, or null when no retry follows
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /webhooks:
+ *   get:
+ *     summary: Retrieve the caller's webhooks
+ *     description: Admins see every webhook.
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: A list of webhooks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Webhook'
+ */
+router.get('/', async (req, res) => {
+    try {
+        const db = getDB();
+        const filter = hasRole(req.user, 'admin') ? {} : { createdBy: req.user.id };
+        const webhooks = await db.collection('Webhooks').find(filter, HIDE_SECRET).sort({ createdAt: -1 }).toArray();
+        res.status(200).json(webhooks);
+    } catch (error) {
+        console.error('Error fetching webhooks:', error);
+        res.status(500).json({ message: 'Failed to retrieve webhooks', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /webhooks:
+ *   post:
+ *     summary: Register a webhook
+ *     description: The response includes the signing secret, which is not shown again.
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Webhook'
+ *     responses:
+ *       201:
+ *         description: Webhook registered successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: The webhook failed validation or its URL points at a non-public address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+router.post('/', validateBody('Webhook'), async (req, res) => {
+    const { url, events, active = true } = req.body;
+
+    try {
+        if (!(await checkUrl(url, res))) return;
+
+        const db = getDB();
+        const newWebhook = {
+            url,
+            events: [...new Set(events)],
+            active,
+            secret: crypto.randomBytes(32).toString('hex'),
+            createdBy: req.user.id,
+            createdAt: new Date(),
+            updatedAt: new Date(),
+        };
+        const result = await db.collection('Webhooks').insertOne(newWebhook);
+        res.status(201).json({ _id: result.insertedId, ...newWebhook });
+    } catch (error) {
+        console.error('Error creating webhook:', error);
+        res.status(500).json({ message: 'Failed to create webhook', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook by ID
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The webhook ID
+ *     responses:
+ *       200:
+ *         description: Webhook found by ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Invalid webhook ID format
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req, res);
+        if (webhook) {
+            const { secret, ...rest } = webhook;
+            res.status(200).json(rest);
+        }
+    } catch (error) {
+        console.error('Error fetching webhook by ID:', error);
+        res.status(500).json({ message: 'Failed to retrieve webhook', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   patch:
+ *     summary: Change a webhook's URL or events, or enable or disable it
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The webhook ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Webhook'
+ *     responses:
+ *       200:
+ *         description: Webhook updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Invalid webhook ID format or the fields failed validation
+ *       404:
+ *         description: Webhook not found
+ */
+router.patch('/:id', validateBody('Webhook', { partial: true }), async (req, res) => {
+    const changes = {};
+    ['url', 'events', 'active'].forEach((field) => {
+        if (req.body[field] !== undefined) {
+            changes[field] = req.body[field];
+        }
+    });
+    if (changes.events) {
+        changes.events = [...new Set(changes.events)];
+    }
+
+    try {
+        const webhook = await loadWebhook(req, res);
+        if (!webhook) return;
+        if (changes.url && !(await checkUrl(changes.url, res))) return;
+
+        const db = getDB();
+        const updatedWebhook = await db.collection('Webhooks').findOneAndUpdate(
+            { _id: webhook._id },
+            { $set: { ...changes, updatedAt: new Date() } },
+            { returnDocument: 'after', ...HIDE_SECRET }
+        );
+        res.status(200).json(updatedWebhook);
+    } catch (error) {
+        console.error('Error updating webhook:', error);
+        res.status(500).json({ message: 'Failed to update webhook', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook and its delivery log
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The webhook ID
+ *     responses:
+ *       200:
+ *         description: Webhook deleted successfully
+ *       400:
+ *         description: Invalid webhook ID format
+ *       404:
+ *         description: Webhook not found
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req, res);
+        if (!webhook) return;
+
+        const db = getDB();
+        await db.collection('Webhooks').deleteOne({ _id: webhook._id });
+        await db.collection('WebhookDeliveries').deleteMany({ webhookId: webhook._id });
+        res.status(200).json({ message: 'Webhook deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        res.status(500).json({ message: 'Failed to delete webhook', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries:
+ *   get:
+ *     summary: List delivery attempts for a webhook, newest first
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The webhook ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: The nextCursor value from the previous page
+ *     responses:
+ *       200:
+ *         description: A page of delivery attempts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *                 paging:
+ *                   $ref: '#/components/schemas/Paging'
+ *       400:
+ *         description: Invalid webhook ID format or invalid paging parameters
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:id/deliveries', async (req, res) => {
+    const { limit, error: limitError } = parseLimit(req.query.limit);
+    if (limitError) {
+        return res.status(400).json({ message: limitError });
+    }
+
+    let cursor = null;
+    if (req.query.cursor) {
+        cursor = decodeCursor(req.query.cursor);
+        if (!cursor) {
+            return res.status(400).json({ message: 'Invalid cursor' });
+        }
+    }
+
+    try {
+        const webhook = await loadWebhook(req, res);
+        if (!webhook) return;
+
+        const db = getDB();
+        const page = await paginate(
+            db.collection('WebhookDeliveries'),
+            { webhookId: webhook._id },
+            { sortField: 'createdAt', sortOrder: -1, limit, cursor }
+        );
+        res.status(200).json(page);
+    } catch (error) {
+        console.error('Error fetching webhook deliveries:', error);
+        res.status(500).json({ message: 'Failed to retrieve webhook deliveries', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}/ping:
+ *   post:
+ *     summary: Send a test delivery
+ *     description: Sends a signed `ping` event right away and reports how the first attempt went. Failures are retried like any other delivery.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The webhook ID
+ *     responses:
+ *       200:
+ *         description: Outcome of the first attempt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 succeeded:
+ *                   type: boolean
+ *                 statusCode:
+ *                   type: integer
+ *                   nullable: true
+ *                 error:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Invalid webhook ID format
+ *       404:
+ *         description: Webhook not found
+ */
+router.post('/:id/ping', async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req, res);
+        if (!webhook) return;
+
+        const result = await deliver(webhook, 'ping', { webhookId: webhook._id, actor: req.user.id });
+        res.status(200).json(result);
+    } catch (error) {
+        console.error('Error pinging webhook:', error);
+        res.status(500).json({ message: 'Failed to ping webhook', error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+// scripts/setRole.js
+// Give an existing user a role from the command line. This is how a deployment
+// gets its first admin, who can then hand out roles through PUT /users/:id/role:
+//
+//     node scripts/setRole.js <username> admin
+//
+// Reads MONGO_URI like the server does. The new role applies to the user's open
+// sessions right away.
+const { connectDB, closeDB } = require('../mongodb/database');
+const { ROLES, findUserByUsername, updateUserRole } = require('../mongodb/user');
+
+async function main() {
+    const [username, role] = process.argv.slice(2);
+    if (!username || !ROLES.includes(role)) {
+        console.error(`Usage: node scripts/setRole.js <username> <${ROLES.join('|')}>`);
+        process.exitCode = 1;
+        return;
+    }
+
+    await connectDB();
+    try {
+        const user = await findUserByUsername(username);
+        if (!user) {
+            console.error(`No user named ${username}`);
+            process.exitCode = 1;
+            return;
+        }
+        await updateUserRole(user._id, role);
+        console.log(`${username} is now ${role === 'admin' ? 'an' : 'a'} ${role}`);
+    } finally {
+        await closeDB();
+    }
+}
+
+main().catch((error) => {
+    console.error('Failed to set role:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,44 @@
+// scripts/webhookReceiver.js
+// Minimal receiver for trying out webhooks locally. Register
+// http://localhost:4000/ as a webhook URL (start the API with
+// WEBHOOK_ALLOW_PRIVATE_TARGETS=true so that it accepts one), then run
+//
+//     WEBHOOK_SECRET=<secret from POST /webhooks> node scripts/webhookReceiver.js
+//
+// Every delivery is printed along with whether its signature checks out.
+// Set FAIL_DELIVERIES=1 to answer with a 500 and watch the retries arrive.
+const crypto = require('crypto');
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET;
+
+function isValidSignature(body, signature) {
+    if (!SECRET || !signature) {
+        return false;
+    }
+    const expected = `sha256=${crypto.createHmac('sha256', SECRET).update(body).digest('hex')}`;
+    return expected.length === signature.length &&
+        crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+}
+
+http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const signature = req.headers['x-webhook-signature'];
+
+        console.log(`${new Date().toISOString()} ${req.headers['x-webhook-event']} (delivery ${req.headers['x-webhook-delivery']})`);
+        console.log(`  signature ${isValidSignature(body, signature) ? 'valid' : 'INVALID'}`);
+        console.log(`  ${body}`);
+
+        res.writeHead(process.env.FAIL_DELIVERIES ? 500 : 204);
+        res.end();
+    });
+}).listen(PORT, () => {
+    console.log(`Webhook receiver listening on port ${PORT}`);
+    if (!SECRET) {
+        console.log('WEBHOOK_SECRET is not set, so every signature will be reported as invalid');
+    }
+});
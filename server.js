@@ -1,56 +1,69 @@
 const express = require('express');
 const cors = require('cors');
+const config = require('./config');
 const { connectDB } = require('./mongodb/database');
 const tasksRoutes = require('./routes/tasks'); 
 const commentsRoutes = require('./routes/comments'); 
-const swaggerJsDoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
+const swaggerDocs = require('./swagger');
 const authRoutes = require('./routes/auth');
+const usersRoutes = require('./routes/users');
+const trashRoutes = require('./routes/trash');
+const searchRoutes = require('./routes/search');
+const projectsRoutes = require('./routes/projects');
+const eventsRoutes = require('./routes/events');
+const webhooksRoutes = require('./routes/webhooks');
+const notificationsRoutes = require('./routes/notifications');
+const reportsRoutes = require('./routes/reports');
 const authenticateToken = require('./middleware/authMiddleware'); 
+const tokenFromQuery = require('./middleware/queryToken');
+const rateLimit = require('./middleware/rateLimit');
+const { startWebhookDispatcher } = require('./services/webhooks');
+const { startScheduler } = require('./services/scheduler');
+const { startCommentNotifications } = require('./services/commentNotifications');
 
 const app = express();
 
-app.use(express.json());
-app.use(cors());
+// Must be set before any route reads req.ip, such as the per-IP limits of /auth
+app.set('trust proxy', config.server.trustProxy);
 
-// Swagger configuration
-const swaggerOptions = {
-    swaggerDefinition: {
-        openapi: '3.0.0',
-        info: {
-            title: 'Your API',
-            version: '1.0.0',
-            description: 'API Documentation',
-        },
-        components: {
-            securitySchemes: {
-                bearerAuth: {
-                    type: 'http',
-                    scheme: 'bearer',
-                    bearerFormat: 'JWT',
-                },
-            },
-        },
-        security: [{
-            bearerAuth: []
-        }]
-    },
-    apis: ['./routes/*.js'], // Path to your route files
-};
+// POST /tasks/import parses its own, larger bodies once the caller is authenticated
+const parseJson = express.json({ type: ['application/json', 'application/merge-patch+json'] });
+app.use((req, res, next) => (req.path === '/tasks/import' ? next() : parseJson(req, res, next)));
+app.use(cors());
 
-const swaggerDocs = swaggerJsDoc(swaggerOptions);
+// Swagger documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 
 app.get('/', (req, res) => {
     res.send('Task Management API');
 });
 
+// Requests to the task and comment APIs are counted per user
+const apiRateLimit = rateLimit({
+    name: 'api',
+    windowMs: config.rateLimit.api.windowMs,
+    limits: [{ by: 'user', max: config.rateLimit.api.maxPerUser, key: (req) => req.user.id }],
+});
+
 // Use routes with authentication middleware
-app.use('/tasks', authenticateToken, tasksRoutes);
-app.use('/comments', authenticateToken, commentsRoutes); 
+app.use('/tasks', authenticateToken, apiRateLimit, tasksRoutes);
+app.use('/comments', authenticateToken, apiRateLimit, commentsRoutes); 
+app.use('/users', authenticateToken, usersRoutes);
+app.use('/trash', authenticateToken, trashRoutes);
+app.use('/search', authenticateToken, searchRoutes);
+app.use('/projects', authenticateToken, projectsRoutes);
+app.use('/events', tokenFromQuery, authenticateToken, eventsRoutes);
+app.use('/webhooks', authenticateToken, webhooksRoutes);
+app.use('/notifications', authenticateToken, notificationsRoutes);
+app.use('/reports', authenticateToken, reportsRoutes);
 app.use('/auth', authRoutes); 
 
 app.use((err, req, res, next) => {
+    // Client errors raised by middleware, such as malformed or oversized bodies
+    if (err.status >= 400 && err.status < 500) {
+        return res.status(err.status).json({ message: err.expose ? err.message : 'Invalid request' });
+    }
     console.error(err.stack);
     res.status(500).send('Something went wrong! Please try again later.');
 });
@@ -58,6 +71,9 @@ app.use((err, req, res, next) => {
 // Connect to the database and start the server
 connectDB()
     .then(() => {
+        startWebhookDispatcher();
+        startScheduler();
+        startCommentNotifications();
         const PORT = process.env.PORT || 3000;
         app.listen(PORT, () => {
             console.log(`Server running on port ${PORT}`);
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { getDB } = require('../mongodb/database');
+const { diffDocuments, recordAudit } = require('../mongodb/audit');
+const { publish } = require('./eventBus');
+
+const PAST_TENSE = {
+    create: 'created',
+    update: 'updated',
+    delete: 'deleted',
+    restore: 'restored',
+    purge: 'purged',
+};
+
+// Record a change to a task or comment in the audit log and broadcast it as an
+// event such as task.updated or comment.created. Takes the same fields as
+// recordAudit, plus the comment's task when the caller already has it.
+// Inside a transaction, pass the session and a `pendingEvents` array: events
+// are collected there instead, to be published once the transaction commits.
+async function recordActivity({ task, ...entry }, { session, pendingEvents } = {}) {
+    await recordAudit(entry, { session });
+
+    const { entityType, entityId, taskId, action, actor, before = null, after = null } = entry;
+    const changes = diffDocuments(before, after);
+    if (action === 'update' && Object.keys(changes).length === 0) {
+        return;
+    }
+
+    try {
+        let eventTask = task || (entityType === 'task' ? after || before : null);
+        if (!eventTask && taskId && ObjectId.isValid(taskId)) {
+            eventTask = await getDB().collection('Tasks').findOne({ _id: new ObjectId(taskId) }, { session });
+        }
+
+        const event = {
+            id: crypto.randomUUID(),
+            type: `${entityType}.${PAST_TENSE[action]}`,
+            entityId: String(entityId),
+            taskId: taskId ? String(taskId) : null,
+            actor: actor.id,
+            timestamp: new Date(),
+            changes,
+            task: eventTask,
+            comment: entityType === 'comment' ? after || before : undefined,
+        };
+        if (pendingEvents) {
+            pendingEvents.push(event);
+        } else {
+            publish(event);
+        }
+    } catch (error) {
+        console.error('Error publishing activity event:', error);
+    }
+}
+
+module.exports = { recordActivity };
@@ -0,0 +1,79 @@
+const { ObjectId } = require('mongodb');
+const { NOTIFICATION_TYPES, createNotification } = require('../mongodb/notifications');
+const { findUserById } = require('../mongodb/user');
+const { canViewTask } = require('../mongodb/projects');
+const { subscribe } = require('./eventBus');
+
+// Users only hear about comments on tasks they can still see
+async function canUserViewTask(userId, task) {
+    if (!ObjectId.isValid(userId)) {
+        return false;
+    }
+    const user = await findUserById(userId);
+    return Boolean(user) && (await canViewTask(task, { id: user._id.toString(), role: user.role }));
+}
+
+// Notify the users mentioned in a new or edited comment and, for new comments,
+// the task's assignee and creator. Nobody is notified about their own comment or
+// twice about the same one: each notification is keyed by comment and recipient.
+async function notifyCommentRecipients(event) {
+    const { comment, task } = event;
+    if (!comment || !task || (event.type !== 'comment.created' && event.type !== 'comment.updated')) {
+        return;
+    }
+
+    const authorId = String(comment.author);
+    const author = ObjectId.isValid(authorId) ? await findUserById(authorId) : null;
+    const authorName = author ? author.displayName || author.username : 'Someone';
+    const data = { commentId: comment._id, author: authorId };
+    const notified = new Set([authorId]);
+
+    for (const { userId } of comment.mentions || []) {
+        if (notified.has(userId)) {
+            continue;
+        }
+        notified.add(userId);
+        if (await canUserViewTask(userId, task)) {
+            await createNotification({
+                userId,
+                type: NOTIFICATION_TYPES.MENTION,
+                message: `${authorName} mentioned you in a comment on "${task.title}"`,
+                taskId: task._id,
+                key: `mention:${comment._id}:${userId}`,
+                data,
+            });
+        }
+    }
+
+    if (event.type !== 'comment.created') {
+        return;
+    }
+
+    for (const recipient of [task.assignedTo, task.createdBy]) {
+        const userId = recipient ? String(recipient) : null;
+        if (!userId || notified.has(userId)) {
+            continue;
+        }
+        notified.add(userId);
+        if (await canUserViewTask(userId, task)) {
+            await createNotification({
+                userId,
+                type: NOTIFICATION_TYPES.COMMENT,
+                message: `${authorName} commented on "${task.title}"`,
+                taskId: task._id,
+                key: `comment:${comment._id}:${userId}`,
+                data,
+            });
+        }
+    }
+}
+
+function startCommentNotifications() {
+    subscribe((event) => {
+        notifyCommentRecipients(event).catch((error) => console.error('Error sending comment notifications:', error));
+    });
+}
+
+module.exports = {
+    startCommentNotifications,
+};
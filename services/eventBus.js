@@ -0,0 +1,18 @@
+const { EventEmitter } = require('events');
+
+// In-process bus carrying task and comment change events to the real-time
+// stream and any other subscriber inside the server
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+function publish(event) {
+    bus.emit('event', event);
+}
+
+// Register a listener for every event, returning a function that removes it
+function subscribe(listener) {
+    bus.on('event', listener);
+    return () => bus.off('event', listener);
+}
+
+module.exports = { publish, subscribe };
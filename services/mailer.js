@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+
+function formatMessage({ from, to, subject, text, date }) {
+    return [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        `Date: ${date.toUTCString()}`,
+        '',
+        text.replace(/\r?\n/g, '\r\n'),
+        '',
+    ].join('\r\n');
+}
+
+// Transports receive { from, to, subject, text, date } and deliver it. The
+// built-in ones are meant for development and testing.
+const transports = {
+    console: async (message) => {
+        console.log(`Email:\n${formatMessage(message)}`);
+    },
+    // One .eml file per message, named so that the files sort by sending time
+    file: async (message) => {
+        const dir = path.resolve(config.mail.outboxDir);
+        await fs.mkdir(dir, { recursive: true });
+        const fileName = `${message.date.getTime()}-${crypto.randomUUID()}.eml`;
+        await fs.writeFile(path.join(dir, fileName), formatMessage(message));
+    },
+};
+
+// Make another transport, e.g. one for an SMTP relay or a mail API, selectable through MAIL_TRANSPORT
+function registerTransport(name, send) {
+    transports[name] = send;
+}
+
+// Whether MAIL_TRANSPORT names a transport to send emails with
+function isMailConfigured() {
+    return Boolean(config.mail.transport);
+}
+
+async function sendMail({ to, subject, text }) {
+    if (!isMailConfigured()) {
+        throw new Error('No mail transport is configured; set MAIL_TRANSPORT');
+    }
+    const send = transports[config.mail.transport];
+    if (!send) {
+        throw new Error(`Unknown mail transport: ${config.mail.transport}`);
+    }
+    await send({ from: config.mail.from, to, subject, text, date: new Date() });
+}
+
+module.exports = {
+    isMailConfigured,
+    registerTransport,
+    sendMail,
+};
@@ -0,0 +1,110 @@
+const config = require('../config');
+const { getDB } = require('../mongodb/database');
+const { NOT_DELETED } = require('../mongodb/trash');
+const { NOTIFICATION_TYPES, createNotification } = require('../mongodb/notifications');
+const { CLOSED_STATUSES } = require('../utils/workflow');
+
+const OPEN_TASK = { ...NOT_DELETED, status: { $nin: CLOSED_STATUSES }, dueDate: { $ne: null } };
+
+// Reminders go to the assignee, or to the creator while nobody is assigned
+const recipientOf = (task) => task.assignedTo || task.createdBy;
+
+// Flag open tasks whose due date has passed, notifying their assignee once per
+// due date, and clear the flag on tasks that were closed or rescheduled
+async function flagOverdueTasks(now) {
+    const db = getDB();
+    const tasks = db.collection('Tasks');
+
+    // The flag only follows from the due date and status, so setting it leaves the
+    // task's version alone: clients holding its ETag can still update it
+    await tasks.updateMany(
+        { overdue: true, $or: [{ status: { $in: CLOSED_STATUSES } }, { dueDate: { $gte: now } }, { dueDate: null }] },
+        { $set: { overdue: false } }
+    );
+
+    const newlyOverdue = await tasks.find({ ...OPEN_TASK, dueDate: { $lt: now }, overdue: { $ne: true } }).toArray();
+    for (const task of newlyOverdue) {
+        await tasks.updateOne({ _id: task._id }, { $set: { overdue: true } });
+
+        const recipient = recipientOf(task);
+        if (recipient) {
+            await createNotification({
+                userId: recipient,
+                type: NOTIFICATION_TYPES.OVERDUE,
+                message: `Task "${task.title}" is overdue`,
+                taskId: task._id,
+                key: `overdue:${task._id}:${new Date(task.dueDate).toISOString()}`,
+                data: { dueDate: task.dueDate },
+            });
+        }
+    }
+    return newlyOverdue.length;
+}
+
+// Send a reminder when a task's due date comes within one of the configured lead
+// times. Each lead time only covers the gap down to the next shorter one, so a
+// task first seen 30 minutes before it is due gets the 1 hour reminder alone
+// rather than the 24 hour one as well.
+async function sendDueReminders(now) {
+    const db = getDB();
+    const leadTimes = [...config.scheduler.reminderLeadTimesHours].sort((a, b) => a - b);
+    let sent = 0;
+
+    for (const [index, hours] of leadTimes.entries()) {
+        const from = new Date(now.getTime() + (index === 0 ? 0 : leadTimes[index - 1]) * 60 * 60 * 1000);
+        const horizon = new Date(now.getTime() + hours * 60 * 60 * 1000);
+        const dueSoon = await db.collection('Tasks')
+            .find({ ...OPEN_TASK, dueDate: { $gte: from, $lte: horizon } })
+            .toArray();
+
+        for (const task of dueSoon) {
+            const recipient = recipientOf(task);
+            if (!recipient) {
+                continue;
+            }
+            const notification = await createNotification({
+                userId: recipient,
+                type: NOTIFICATION_TYPES.DUE_SOON,
+                message: `Task "${task.title}" is due within ${hours} hour${hours === 1 ? '' : 's'}`,
+                taskId: task._id,
+                key: `due_soon:${task._id}:${hours}h:${new Date(task.dueDate).toISOString()}`,
+                data: { dueDate: task.dueDate, leadTimeHours: hours },
+            });
+            if (notification) {
+                sent += 1;
+            }
+        }
+    }
+    return sent;
+}
+
+async function runDueDateChecks(now = new Date()) {
+    const overdue = await flagOverdueTasks(now);
+    const reminders = await sendDueReminders(now);
+    return { overdue, reminders };
+}
+
+// Run the due date checks now and then every config.scheduler.intervalMs. A run
+// that is still going when the next one is due makes that one skip.
+function startScheduler() {
+    let running = false;
+
+    const tick = async () => {
+        if (running) {
+            return;
+        }
+        running = true;
+        try {
+            await runDueDateChecks();
+        } catch (error) {
+            console.error('Error running scheduled due date checks:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    tick();
+    return setInterval(tick, config.scheduler.intervalMs);
+}
+
+module.exports = { runDueDateChecks, startScheduler };
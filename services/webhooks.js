@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const config = require('../config');
+const { getDB } = require('../mongodb/database');
+const { findUserById } = require('../mongodb/user');
+const { canViewTask } = require('../mongodb/projects');
+const { subscribe } = require('./eventBus');
+
+// Event types webhooks can subscribe to
+const WEBHOOK_EVENTS = [
+    'task.created',
+    'task.updated',
+    'task.status_changed',
+    'task.assigned',
+    'task.deleted',
+    'comment.created',
+];
+
+// Webhook event types raised by a change published on the event bus. A single
+// update can both change a task's status and reassign it.
+function webhookEventsFor(event) {
+    switch (event.type) {
+        case 'task.created':
+        case 'task.deleted':
+        case 'comment.created':
+            return [event.type];
+        case 'task.updated': {
+            const types = ['task.updated'];
+            if (event.changes.status) {
+                types.push('task.status_changed');
+            }
+            if (event.changes.assignedTo && event.changes.assignedTo.to) {
+                types.push('task.assigned');
+            }
+            return types;
+        }
+        default:
+            return [];
+    }
+}
+
+// Addresses webhooks may not be delivered to: loopback, private and link-local
+// ranges (cloud metadata endpoints live in the latter) and the other ranges that
+// are not reachable on the public internet. IPv4-mapped IPv6 addresses are
+// checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4],
+].forEach(([prefix, length]) => BLOCKED_ADDRESSES.addSubnet(prefix, length, 'ipv4'));
+[
+    ['::', 128],
+    ['::1', 128],
+    ['64:ff9b::', 96],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8],
+].forEach(([prefix, length]) => BLOCKED_ADDRESSES.addSubnet(prefix, length, 'ipv6'));
+
+const BLOCKED_TARGET_MESSAGE = 'must not point at a loopback, link-local or private address';
+
+function isBlockedAddress(address, family) {
+    return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Resolve a webhook URL's host and check every address it resolves to.
+// Returns a message saying what is wrong with the URL, or null if it can be used.
+async function checkWebhookUrl(url) {
+    if (config.webhooks.allowPrivateTargets) {
+        return null;
+    }
+
+    let hostname;
+    try {
+        hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    } catch (error) {
+        return 'must be a valid URL';
+    }
+
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+        return `host ${hostname} could not be resolved`;
+    }
+    return addresses.some(({ address, family }) => isBlockedAddress(address, family)) ? BLOCKED_TARGET_MESSAGE : null;
+}
+
+// Lookup for outgoing deliveries that refuses blocked addresses, so that a host
+// name resolving to a public address when the webhook was registered cannot
+// later be pointed at an internal one
+function safeLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+        if (addresses.some(({ address, family }) => isBlockedAddress(address, family))) {
+            return callback(new Error(`Webhook URL ${BLOCKED_TARGET_MESSAGE}`));
+        }
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// POST a body and resolve with the response status. Redirects are not followed.
+function post(url, headers, body) {
+    const client = new URL(url).protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+        const request = client.request(
+            url,
+            {
+                method: 'POST',
+                headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+                lookup: config.webhooks.allowPrivateTargets ? undefined : safeLookup,
+                signal: AbortSignal.timeout(config.webhooks.timeoutMs),
+            },
+            (response) => {
+                response.resume();
+                resolve(response.statusCode);
+            }
+        );
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+// Receivers verify deliveries by computing the same HMAC over the raw body
+function signPayload(secret, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// POST one delivery to the webhook's URL and log the outcome. Failed attempts
+// are retried with exponential backoff for as long as the webhook stays active.
+// Retries are kept in memory and do not survive a server restart.
+async function attemptDelivery(webhook, delivery, attempt = 1) {
+    const body = JSON.stringify(delivery.payload);
+    const startedAt = Date.now();
+    let statusCode = null;
+    let error = null;
+
+    try {
+        // Host names are checked again by safeLookup when connecting, but IP
+        // addresses in the URL never go through a lookup
+        const urlError = await checkWebhookUrl(webhook.url);
+        if (urlError) {
+            throw new Error(`Webhook URL ${urlError}`);
+        }
+
+        statusCode = await post(
+            webhook.url,
+            {
+                'Content-Type': 'application/json',
+                'User-Agent': 'task-api-webhooks',
+                'X-Webhook-Id': String(webhook._id),
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': delivery.id,
+                'X-Webhook-Signature': signPayload(webhook.secret, body),
+            },
+            body
+        );
+        if (statusCode < 200 || statusCode >= 300) {
+            error = `Receiver responded with status ${statusCode}`;
+        }
+    } catch (err) {
+        error = err.message;
+    }
+
+    const retryDelay = config.webhooks.retryBaseMs * 2 ** (attempt - 1);
+    const willRetry = Boolean(error) && attempt < config.webhooks.maxAttempts;
+    const db = getDB();
+
+    try {
+        await db.collection('WebhookDeliveries').insertOne({
+            webhookId: webhook._id,
+            deliveryId: delivery.id,
+            event: delivery.event,
+            attempt,
+            succeeded: !error,
+            statusCode,
+            error,
+            durationMs: Date.now() - startedAt,
+            nextAttemptAt: willRetry ? new Date(Date.now() + retryDelay) : null,
+            createdAt: new Date(),
+        });
+    } catch (err) {
+        console.error('Error logging webhook delivery:', err);
+    }
+
+    if (willRetry) {
+        setTimeout(async () => {
+            try {
+                // Skip the retry if the webhook was deleted or disabled meanwhile
+                const current = await db.collection('Webhooks').findOne({ _id: webhook._id, active: true });
+                if (current) {
+                    await attemptDelivery(current, delivery, attempt + 1);
+                }
+            } catch (err) {
+                console.error('Error retrying webhook delivery:', err);
+            }
+        }, retryDelay).unref();
+    }
+
+    return { succeeded: !error, statusCode, error };
+}
+
+// Start delivering an event to one webhook
+function deliver(webhook, event, data) {
+    const delivery = { id: crypto.randomUUID(), event };
+    delivery.payload = { id: delivery.id, event, timestamp: new Date(), data };
+    return attemptDelivery(webhook, delivery);
+}
+
+// Send a bus event to every active webhook subscribed to one of the types it
+// raises, as long as the webhook's owner can still see the task
+async function dispatch(event) {
+    const types = webhookEventsFor(event);
+    if (types.length === 0 || !event.task) {
+        return;
+    }
+
+    const db = getDB();
+    const webhooks = await db.collection('Webhooks').find({ active: true, events: { $in: types } }).toArray();
+
+    for (const webhook of webhooks) {
+        const owner = await findUserById(webhook.createdBy);
+        if (!owner || !(await canViewTask(event.task, { id: owner._id.toString(), role: owner.role }))) {
+            continue;
+        }
+
+        const data = { task: event.task, comment: event.comment, changes: event.changes, actor: event.actor };
+        types
+            .filter((type) => webhook.events.includes(type))
+            .forEach((type) => deliver(webhook, type, data));
+    }
+}
+
+function startWebhookDispatcher() {
+    subscribe((event) => {
+        dispatch(event).catch((error) => console.error('Error dispatching webhooks:', error));
+    });
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    checkWebhookUrl,
+    signPayload,
+    deliver,
+    startWebhookDispatcher,
+};
@@ -0,0 +1,31 @@
+const path = require('path');
+const swaggerJsDoc = require('swagger-jsdoc');
+
+// Swagger configuration
+const swaggerOptions = {
+    swaggerDefinition: {
+        openapi: '3.0.0',
+        info: {
+            title: 'Your API',
+            version: '1.0.0',
+            description: 'API Documentation',
+        },
+        components: {
+            securitySchemes: {
+                bearerAuth: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    bearerFormat: 'JWT',
+                },
+            },
+        },
+        security: [{
+            bearerAuth: []
+        }]
+    },
+    apis: [path.join(__dirname, 'routes', '*.js')], // Path to your route files
+};
+
+// The generated spec is shared: server.js serves it and the validation
+// middleware checks request bodies against its component schemas
+module.exports = swaggerJsDoc(swaggerOptions);
@@ -0,0 +1,98 @@
+// Reading and writing CSV as described in RFC 4180: comma-separated fields,
+// optionally quoted, with quotes inside quoted fields doubled
+
+// Spreadsheets run cells starting with one of =+-@, a tab or a carriage return
+// as formulas. Apostrophes in front are matched too so that text which already
+// starts with one survives being escaped and unescaped.
+const FORMULA_TRIGGER = /^'*[=+\-@\t\r]/;
+
+function escapeField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    // Make text that would run as a formula show as text, as spreadsheets do
+    // for cells typed with a leading apostrophe. Numbers are left alone.
+    if (typeof value === 'string' && FORMULA_TRIGGER.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Render rows of plain values as CSV with a header row
+function toCsv(columns, rows) {
+    const lines = [columns, ...rows.map((row) => columns.map((column) => row[column]))];
+    return `${lines.map((line) => line.map(escapeField).join(',')).join('\r\n')}\r\n`;
+}
+
+// Split CSV text into rows of fields. Returns { rows } or { error }.
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        return { error: 'CSV ends inside a quoted field' };
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    // Blank lines carry no record
+    return { rows: rows.filter((fields) => fields.length > 1 || fields[0] !== '') };
+}
+
+// Undo the apostrophe escapeField puts in front of text that looks like a formula
+function unescapeField(field) {
+    const escaped = field !== undefined && field.startsWith("'") && FORMULA_TRIGGER.test(field.slice(1));
+    return escaped ? field.slice(1) : field;
+}
+
+// Parse CSV with a header row into one object per record, keyed by column name.
+// Returns { records } or { error }.
+function parseCsv(text) {
+    const { rows, error } = parseCsvRows(text.replace(/^\uFEFF/, ''));
+    if (error) {
+        return { error };
+    }
+    if (rows.length === 0) {
+        return { error: 'CSV must start with a header row' };
+    }
+
+    const [header, ...data] = rows;
+    const columns = header.map((column) => column.trim());
+    return {
+        records: data.map((fields) =>
+            Object.fromEntries(columns.map((column, index) => [column, unescapeField(fields[index])]))
+        ),
+    };
+}
+
+module.exports = { toCsv, parseCsv };
@@ -0,0 +1,44 @@
+// Entity tags for optimistic concurrency. Tasks and comments carry a `version`
+// that every write increments, and their tag names the record and that version.
+
+// Records written before versions were introduced count as version 0
+function versionOf(doc) {
+    return doc.version || 0;
+}
+
+function entityTag(doc) {
+    return `"${doc._id}-${versionOf(doc)}"`;
+}
+
+// Whether an If-Match header lists the record's current tag. If-Match uses
+// strong comparison, so weak tags (W/"...") never match; "*" matches any record.
+function ifMatchSatisfied(header, doc) {
+    const tag = entityTag(doc);
+    return header.split(',').some((candidate) => {
+        const trimmed = candidate.trim();
+        return trimmed === '*' || trimmed === tag;
+    });
+}
+
+// Whether an If-None-Match header lists the record's current tag, using the
+// weak comparison that applies to conditional GETs
+function ifNoneMatchSatisfied(header, doc) {
+    const tag = entityTag(doc);
+    return header.split(',').some((candidate) => {
+        const trimmed = candidate.trim();
+        return trimmed === '*' || trimmed === tag || trimmed === `W/${tag}`;
+    });
+}
+
+// Filter matching a record only while it still has the given version
+function versionFilter(version) {
+    return version === 0 ? { version: { $in: [null, 0] } } : { version };
+}
+
+module.exports = {
+    versionOf,
+    entityTag,
+    ifMatchSatisfied,
+    ifNoneMatchSatisfied,
+    versionFilter,
+};
@@ -0,0 +1,95 @@
+// Rendering tasks as an iCalendar (RFC 5545) feed, so they can be subscribed to
+// from calendar and to-do apps
+
+const PRODUCT_ID = '-//Task Management API//Tasks//EN';
+
+// RFC 5545 priorities run from 1 (highest) to 9 (lowest)
+const PRIORITIES = { high: 1, medium: 5, low: 9 };
+
+const TODO_STATUSES = {
+    pending: 'NEEDS-ACTION',
+    'in-progress': 'IN-PROCESS',
+    blocked: 'NEEDS-ACTION',
+    'in-review': 'IN-PROCESS',
+    completed: 'COMPLETED',
+    cancelled: 'CANCELLED',
+};
+
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// UTC date-time in the basic format, e.g. 20241014T090000Z
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldLine(line) {
+    const chunks = [];
+    let rest = Buffer.from(line, 'utf8');
+    let limit = 75;
+    while (rest.length > limit) {
+        let cut = limit;
+        // Never split a multi-byte character
+        while ((rest[cut] & 0xc0) === 0x80) {
+            cut--;
+        }
+        chunks.push(rest.subarray(0, cut).toString('utf8'));
+        rest = rest.subarray(cut);
+        limit = 74;
+    }
+    chunks.push(rest.toString('utf8'));
+    return chunks.join('\r\n ');
+}
+
+function taskComponent(task, component, now) {
+    const lines = [
+        `BEGIN:${component}`,
+        `UID:${task._id}@tasks`,
+        `DTSTAMP:${formatDate(now)}`,
+        `SUMMARY:${escapeText(task.title || '')}`,
+    ];
+    if (task.description) {
+        lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+    }
+    if (task.dueDate) {
+        // Events have no due date, so they are placed at the moment the task is due
+        lines.push(`${component === 'VTODO' ? 'DUE' : 'DTSTART'}:${formatDate(task.dueDate)}`);
+    }
+    if (PRIORITIES[task.priority]) {
+        lines.push(`PRIORITY:${PRIORITIES[task.priority]}`);
+    }
+    if (task.tags && task.tags.length > 0) {
+        lines.push(`CATEGORIES:${task.tags.map(escapeText).join(',')}`);
+    }
+    if (component === 'VTODO') {
+        lines.push(`STATUS:${TODO_STATUSES[task.status] || 'NEEDS-ACTION'}`);
+        if (task.completedAt) {
+            lines.push(`COMPLETED:${formatDate(task.completedAt)}`);
+        }
+    } else if (task.status === 'cancelled') {
+        lines.push('STATUS:CANCELLED');
+    }
+    if (task.updatedAt) {
+        lines.push(`LAST-MODIFIED:${formatDate(task.updatedAt)}`);
+    }
+    lines.push(`END:${component}`);
+    return lines;
+}
+
+// Render tasks as a calendar of VTODO (to-do) or VEVENT (event) components
+function tasksToICalendar(tasks, { component = 'VTODO' } = {}) {
+    const now = new Date();
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        ...tasks.flatMap((task) => taskComponent(task, component, now)),
+        'END:VCALENDAR',
+    ];
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = { tasksToICalendar };
@@ -0,0 +1,21 @@
+// @username mentions in comment text. A mention starts at an @ that does not
+// follow a letter, digit or another username character, so email addresses
+// are not mistaken for mentions, and takes the characters usernames may hold.
+const MENTION = /(^|[^A-Za-z0-9_.@-])@([A-Za-z0-9_.-]+)/g;
+
+// The distinct usernames mentioned in a text, in order of first mention.
+// Dots and dashes ending a mention are punctuation, as in "thanks @alice."
+function parseMentions(text) {
+    const usernames = [];
+    for (const match of String(text || '').matchAll(MENTION)) {
+        const username = match[2].replace(/[.-]+$/, '');
+        if (username && !usernames.includes(username)) {
+            usernames.push(username);
+        }
+    }
+    return usernames;
+}
+
+module.exports = {
+    parseMentions,
+};
@@ -0,0 +1,95 @@
+const { ObjectId } = require('mongodb');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Parse the ?limit= query parameter, falling back to the default page size
+function parseLimit(value) {
+    if (value === undefined) {
+        return { limit: DEFAULT_LIMIT };
+    }
+
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+    }
+    return { limit };
+}
+
+// Cursors are opaque to clients: base64url-encoded JSON holding the sort value
+// and _id of the last document on the previous page
+function encodeCursor(doc, sortField) {
+    const value = doc[sortField] === undefined ? null : doc[sortField];
+    const payload = {
+        v: value instanceof Date ? value.toISOString() : value,
+        d: value instanceof Date,
+        id: doc._id.toString(),
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!payload || !ObjectId.isValid(payload.id)) {
+            return null;
+        }
+        return {
+            value: payload.d ? new Date(payload.v) : payload.v,
+            id: new ObjectId(payload.id),
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Build the keyset condition that selects documents after the cursor position.
+// Missing values sort before everything else in MongoDB, so a null cursor value
+// needs its own branch.
+function afterCursor(sortField, sortOrder, cursor) {
+    const op = sortOrder === 1 ? '$gt' : '$lt';
+    const sameValue = { [sortField]: cursor.value, _id: { [op]: cursor.id } };
+
+    if (cursor.value === null) {
+        return sortOrder === 1
+            ? { $or: [{ [sortField]: { $ne: null } }, sameValue] }
+            : sameValue;
+    }
+
+    const pastValue = { [sortField]: { [op]: cursor.value } };
+    return sortOrder === 1
+        ? { $or: [pastValue, sameValue] }
+        : { $or: [pastValue, sameValue, { [sortField]: null }] };
+}
+
+// Run a cursor-paginated find and return the page together with its metadata
+async function paginate(collection, filter, { sortField, sortOrder, limit, cursor }) {
+    const query = cursor ? { $and: [filter, afterCursor(sortField, sortOrder, cursor)] } : filter;
+
+    const [docs, totalCount] = await Promise.all([
+        collection.find(query).sort({ [sortField]: sortOrder, _id: sortOrder }).limit(limit + 1).toArray(),
+        collection.countDocuments(filter),
+    ]);
+
+    const hasMore = docs.length > limit;
+    const data = hasMore ? docs.slice(0, limit) : docs;
+
+    return {
+        data,
+        paging: {
+            limit,
+            totalCount,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(data[data.length - 1], sortField) : null,
+        },
+    };
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    parseLimit,
+    encodeCursor,
+    decodeCursor,
+    paginate,
+};
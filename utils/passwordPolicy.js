@@ -0,0 +1,48 @@
+const config = require('../config');
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+
+// bcrypt ignores everything after the first 72 bytes of a password
+const MAX_PASSWORD_BYTES = 72;
+
+// Passwords at the top of every leaked-password list
+const COMMON_PASSWORDS = new Set([
+    '123456789', '1234567890', 'password', 'password1', 'password123', 'passw0rd', 'qwerty123', 'qwertyuiop',
+    '1q2w3e4r5t', 'iloveyou', 'letmein', 'welcome1', 'welcome123', 'admin123', 'abc123456', 'changeme',
+]);
+
+// Check a new password against the policy, returning a message for every rule
+// it breaks. An empty list means the password is acceptable.
+function checkPassword(password, username) {
+    if (typeof password !== 'string' || password.length === 0) {
+        return ['is required'];
+    }
+
+    const { minLength, minCharacterClasses } = config.passwords;
+    const problems = [];
+
+    if (password.length < minLength) {
+        problems.push(`must be at least ${minLength} characters long`);
+    }
+    if (Buffer.byteLength(password) > MAX_PASSWORD_BYTES) {
+        problems.push(`must be at most ${MAX_PASSWORD_BYTES} bytes long`);
+    }
+    const classes = CHARACTER_CLASSES.filter((pattern) => pattern.test(password)).length;
+    if (classes < minCharacterClasses) {
+        problems.push(
+            `must mix at least ${minCharacterClasses} of: lowercase letters, uppercase letters, digits, symbols`
+        );
+    }
+    if (typeof username === 'string' && username && password.toLowerCase().includes(username.toLowerCase())) {
+        problems.push('must not contain the username');
+    }
+    if (COMMON_PASSWORDS.has(password.toLowerCase())) {
+        problems.push('is too common');
+    }
+
+    return problems;
+}
+
+module.exports = {
+    checkPassword,
+};
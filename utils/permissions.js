@@ -0,0 +1,79 @@
+// Ownership and role rules shared by the task and comment routes.
+// req.user is the JWT payload set by authenticateToken, with the user's current role;
+// its id is the user's _id as a string.
+const { ObjectId } = require('mongodb');
+const { DEFAULT_ROLE } = require('../mongodb/user');
+
+const hasRole = (user, ...roles) => roles.includes(user.role || DEFAULT_ROLE);
+
+const isTaskOwner = (task, user) => task.createdBy === user.id;
+
+const isTaskAssignee = (task, user) => task.assignedTo === user.id;
+
+const isCommentAuthor = (comment, user) => comment.author === user.id;
+
+// Owners and admins may change anything on a task, managers may reassign it
+// and assignees may move its status. Returns an error message when the update
+// is not allowed, otherwise null.
+function checkTaskUpdate(task, changes, user) {
+    if (isTaskOwner(task, user) || hasRole(user, 'admin')) {
+        return null;
+    }
+
+    const allowedFields = [];
+    if (isTaskAssignee(task, user)) {
+        allowedFields.push('status');
+    }
+    if (hasRole(user, 'manager')) {
+        allowedFields.push('assignedTo');
+    }
+
+    if (allowedFields.length === 0) {
+        return 'Only the task owner can modify this task';
+    }
+
+    const changedFields = Object.keys(changes).filter((field) => !isSameValue(task[field], changes[field]));
+    const forbidden = changedFields.filter((field) => !allowedFields.includes(field));
+    if (forbidden.length > 0) {
+        return `You may only change the following fields of this task: ${allowedFields.join(', ')}`;
+    }
+    return null;
+}
+
+const canDeleteTask = (task, user) => isTaskOwner(task, user) || hasRole(user, 'admin');
+
+const canModifyComment = (comment, user) => isCommentAuthor(comment, user) || hasRole(user, 'admin');
+
+const isPlainObject = (value) => Object.prototype.toString.call(value) === '[object Object]';
+
+// Whether an update leaves a field as it is. Objects such as recurrence rules and
+// arrays are compared item by item, ignoring the order of object keys.
+function isSameValue(current, next) {
+    if (current instanceof Date || next instanceof Date) {
+        return new Date(current).getTime() === new Date(next).getTime();
+    }
+    if (current instanceof ObjectId || next instanceof ObjectId) {
+        return String(current) === String(next);
+    }
+    if (Array.isArray(current) || Array.isArray(next)) {
+        const currentItems = current || [];
+        const nextItems = next || [];
+        return currentItems.length === nextItems.length &&
+            currentItems.every((item, index) => isSameValue(item, nextItems[index]));
+    }
+    if (isPlainObject(current) && isPlainObject(next)) {
+        const keys = new Set([...Object.keys(current), ...Object.keys(next)]);
+        return [...keys].every((key) => isSameValue(current[key], next[key]));
+    }
+    return current === next;
+}
+
+module.exports = {
+    hasRole,
+    isTaskOwner,
+    isTaskAssignee,
+    isCommentAuthor,
+    checkTaskUpdate,
+    canDeleteTask,
+    canModifyComment,
+};
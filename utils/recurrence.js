@@ -0,0 +1,71 @@
+// Recurrence rules are a small subset of iCalendar RRULEs: a frequency, an
+// interval, and optionally an end date (until) or a total number of
+// occurrences (count), which cannot be combined.
+
+// Check a validated recurrence from a request body and fill in its defaults.
+// null stops a series.
+function normalizeRecurrence(recurrence) {
+    if (recurrence === null || recurrence === undefined) {
+        return { recurrence: null };
+    }
+    if (recurrence.until !== undefined && recurrence.count !== undefined) {
+        return { error: 'recurrence may have either until or count, not both' };
+    }
+
+    const normalized = { frequency: recurrence.frequency, interval: recurrence.interval || 1 };
+    if (recurrence.until !== undefined) {
+        normalized.until = new Date(recurrence.until);
+    }
+    if (recurrence.count !== undefined) {
+        normalized.count = recurrence.count;
+    }
+    if (recurrence.byMonthDay !== undefined) {
+        normalized.byMonthDay = recurrence.byMonthDay;
+    }
+    return { recurrence: normalized };
+}
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Move a date forward by one step of the rule. Monthly rules keep to the same
+// day of the month, falling back to the last day in shorter months.
+function advance(date, { frequency, interval, byMonthDay }) {
+    const next = new Date(date);
+
+    if (frequency === 'daily') {
+        next.setUTCDate(next.getUTCDate() + interval);
+    } else if (frequency === 'weekly') {
+        next.setUTCDate(next.getUTCDate() + 7 * interval);
+    } else {
+        const day = byMonthDay || next.getUTCDate();
+        next.setUTCDate(1);
+        next.setUTCMonth(next.getUTCMonth() + interval);
+        next.setUTCDate(Math.min(day, daysInMonth(next.getUTCFullYear(), next.getUTCMonth())));
+    }
+    return next;
+}
+
+// The rule and due date of the occurrence after this task, or null when the
+// series has ended
+function nextOccurrence(task) {
+    const { recurrence } = task;
+    if (!recurrence || !task.dueDate) {
+        return null;
+    }
+    if (recurrence.count !== undefined && (task.occurrence || 1) >= recurrence.count) {
+        return null;
+    }
+
+    // Pin monthly series to the first occurrence's day so that the 31st does not drift to the 28th
+    const rule = recurrence.frequency === 'monthly' && !recurrence.byMonthDay
+        ? { ...recurrence, byMonthDay: new Date(task.dueDate).getUTCDate() }
+        : recurrence;
+
+    const dueDate = advance(task.dueDate, rule);
+    if (recurrence.until && dueDate > new Date(recurrence.until)) {
+        return null;
+    }
+    return { recurrence: rule, dueDate };
+}
+
+module.exports = { normalizeRecurrence, nextOccurrence };
@@ -0,0 +1,127 @@
+// Minimal validator for the subset of OpenAPI 3.0 schema keywords our
+// component schemas use: type, enum, format, nullable, required, properties,
+// items, minItems, minLength, maxLength, pattern, minimum, maximum, readOnly and $ref.
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function resolveRef(schema, components) {
+    if (!schema || !schema.$ref) {
+        return schema;
+    }
+    const name = schema.$ref.replace('#/components/schemas/', '');
+    return components[name];
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function validateValue(schema, value, path, components, errors) {
+    schema = resolveRef(schema, components);
+    if (!schema) {
+        return;
+    }
+
+    if (value === null) {
+        if (!schema.nullable) {
+            errors.push({ field: path, message: 'must not be null' });
+        }
+        return;
+    }
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        errors.push({ field: path, message: `must be of type ${schema.type}` });
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ field: path, message: `must be one of: ${schema.enum.join(', ')}` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            errors.push({ field: path, message: `must be at least ${schema.minLength} characters long` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ field: path, message: `must be at most ${schema.maxLength} characters long` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ field: path, message: `must match the pattern ${schema.pattern}` });
+        }
+        if ((schema.format === 'date-time' || schema.format === 'date') &&
+            (!ISO_DATE.test(value) || isNaN(new Date(value).getTime()))) {
+            errors.push({ field: path, message: 'must be a valid ISO 8601 date' });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ field: path, message: `must be at least ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ field: path, message: `must be at most ${schema.maximum}` });
+        }
+    }
+
+    if (Array.isArray(value) && schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ field: path, message: `must contain at least ${schema.minItems} item(s)` });
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => validateValue(schema.items, item, `${path}[${index}]`, components, errors));
+    }
+
+    if (typeOf(value) === 'object' && schema.properties) {
+        validateObject(schema, value, { partial: false, prefix: `${path}.` }, components, errors);
+    }
+}
+
+function validateObject(schema, value, { partial, prefix }, components, errors) {
+    const properties = schema.properties || {};
+
+    if (!partial) {
+        (schema.required || []).forEach((field) => {
+            const property = resolveRef(properties[field], components);
+            if (property && property.readOnly) {
+                return;
+            }
+            if (value[field] === undefined || value[field] === '') {
+                errors.push({ field: `${prefix}${field}`, message: 'is required' });
+            }
+        });
+    }
+
+    Object.keys(value).forEach((field) => {
+        const property = resolveRef(properties[field], components);
+        // Unknown and server-managed fields are ignored rather than rejected
+        if (!property || property.readOnly || value[field] === undefined) {
+            return;
+        }
+        validateValue(property, value[field], `${prefix}${field}`, components, errors);
+    });
+}
+
+// Validate a request body against a component schema. With `partial`, only the
+// fields present are checked and required fields may be omitted.
+// Returns a list of { field, message } errors, empty when the body is valid.
+function validateSchema(schema, body, components, { partial = false } = {}) {
+    const errors = [];
+
+    if (typeOf(body) !== 'object') {
+        errors.push({ field: 'body', message: 'must be a JSON object' });
+        return errors;
+    }
+
+    validateObject(resolveRef(schema, components), body, { partial, prefix: '' }, components, errors);
+    return errors;
+}
+
+module.exports = { validateSchema };
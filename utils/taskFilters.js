@@ -0,0 +1,119 @@
+const { ObjectId } = require('mongodb');
+const { parseLimit, decodeCursor } = require('./pagination');
+
+// Fields clients may sort GET /tasks by. Each one is indexed in connectDB.
+const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'dueDate', 'priority', 'status', 'title'];
+
+function parseDate(value, name) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        return { error: `${name} must be a valid date` };
+    }
+    return { date };
+}
+
+// Translate task list query parameters into a MongoDB filter
+function buildTaskFilter(query) {
+    const filter = {};
+
+    ['status', 'priority', 'assignedTo', 'createdBy'].forEach((field) => {
+        if (query[field]) {
+            const values = String(query[field]).split(',').map((value) => value.trim()).filter(Boolean);
+            filter[field] = values.length === 1 ? values[0] : { $in: values };
+        }
+    });
+
+    if (query.projectId) {
+        if (!ObjectId.isValid(query.projectId)) {
+            return { error: 'Invalid project ID format' };
+        }
+        filter.projectId = new ObjectId(query.projectId);
+    }
+
+    if (query.parentId) {
+        if (!ObjectId.isValid(query.parentId)) {
+            return { error: 'Invalid parent task ID format' };
+        }
+        filter.parentId = new ObjectId(query.parentId);
+    }
+
+    if (query.seriesId) {
+        if (!ObjectId.isValid(query.seriesId)) {
+            return { error: 'Invalid series ID format' };
+        }
+        filter.seriesId = new ObjectId(query.seriesId);
+    }
+
+    // Tasks must carry every tag listed
+    if (query.tags) {
+        const tags = String(query.tags).split(',').map((tag) => tag.trim()).filter(Boolean);
+        filter.tags = { $all: tags };
+    }
+
+    // Set by the background scheduler once a task's due date has passed
+    if (query.overdue !== undefined) {
+        if (query.overdue !== 'true' && query.overdue !== 'false') {
+            return { error: 'overdue must be either true or false' };
+        }
+        filter.overdue = query.overdue === 'true' ? true : { $ne: true };
+    }
+
+    if (query.dueAfter || query.dueBefore) {
+        filter.dueDate = {};
+        if (query.dueAfter) {
+            const { date, error } = parseDate(query.dueAfter, 'dueAfter');
+            if (error) return { error };
+            filter.dueDate.$gte = date;
+        }
+        if (query.dueBefore) {
+            const { date, error } = parseDate(query.dueBefore, 'dueBefore');
+            if (error) return { error };
+            filter.dueDate.$lte = date;
+        }
+    }
+
+    return { filter };
+}
+
+// Parse ?sortBy= and ?order=, defaulting to newest first
+function parseTaskSort(query) {
+    const sortField = query.sortBy || 'createdAt';
+    if (!SORTABLE_FIELDS.includes(sortField)) {
+        return { error: `sortBy must be one of: ${SORTABLE_FIELDS.join(', ')}` };
+    }
+
+    const order = query.order || 'desc';
+    if (order !== 'asc' && order !== 'desc') {
+        return { error: 'order must be either asc or desc' };
+    }
+
+    return { sortField, sortOrder: order === 'asc' ? 1 : -1 };
+}
+
+// Parse every filter, sort and paging parameter of a task list request
+function parseTaskListQuery(query) {
+    const { filter, error: filterError } = buildTaskFilter(query);
+    if (filterError) return { error: filterError };
+
+    const { sortField, sortOrder, error: sortError } = parseTaskSort(query);
+    if (sortError) return { error: sortError };
+
+    const { limit, error: limitError } = parseLimit(query.limit);
+    if (limitError) return { error: limitError };
+
+    let cursor = null;
+    if (query.cursor) {
+        cursor = decodeCursor(query.cursor);
+        if (!cursor) return { error: 'Invalid cursor' };
+    }
+
+    return { filter, sortField, sortOrder, limit, cursor };
+}
+
+module.exports = {
+    SORTABLE_FIELDS,
+    parseDate,
+    buildTaskFilter,
+    parseTaskSort,
+    parseTaskListQuery,
+};
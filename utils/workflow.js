@@ -0,0 +1,49 @@
+const config = require('../config');
+
+const STATUSES = ['pending', 'in-progress', 'blocked', 'in-review', 'completed', 'cancelled'];
+
+// Statuses in which a task is finished: no reminders, never overdue
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+// The statuses a task may move to from each status. Going straight from pending
+// to completed stays allowed for small tasks. Override with TASK_TRANSITIONS.
+const DEFAULT_TRANSITIONS = {
+    pending: ['in-progress', 'blocked', 'completed', 'cancelled'],
+    'in-progress': ['pending', 'blocked', 'in-review', 'completed', 'cancelled'],
+    blocked: ['pending', 'in-progress', 'cancelled'],
+    'in-review': ['in-progress', 'completed', 'cancelled'],
+    completed: ['in-progress'],
+    cancelled: ['pending'],
+};
+
+// A misconfigured graph would silently lock tasks in place, so refuse to start with one
+function loadTransitions(transitions) {
+    Object.entries(transitions).forEach(([from, targets]) => {
+        [from, ...targets].forEach((status) => {
+            if (!STATUSES.includes(status)) {
+                throw new Error(`TASK_TRANSITIONS refers to unknown status "${status}"`);
+            }
+        });
+    });
+    return transitions;
+}
+
+const TRANSITIONS = loadTransitions(config.workflow.transitions || DEFAULT_TRANSITIONS);
+
+// Statuses a task in the given status may move to. Tasks in a status the graph
+// does not know, such as ones stored before the workflow existed, may move anywhere.
+function allowedTransitions(from) {
+    return TRANSITIONS[from] || STATUSES;
+}
+
+function canTransition(from, to) {
+    return from === to || allowedTransitions(from).includes(to);
+}
+
+module.exports = {
+    STATUSES,
+    CLOSED_STATUSES,
+    TRANSITIONS,
+    allowedTransitions,
+    canTransition,
+};